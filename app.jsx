@@ -56,6 +56,8 @@ const Edit2           = (props) => __LucideStub({ name: "Edit2", ...props });
 const Save            = (props) => __LucideStub({ name: "Save", ...props });
 const ChevronDown     = (props) => __LucideStub({ name: "ChevronDown", ...props });
 const ChevronUp       = (props) => __LucideStub({ name: "ChevronUp", ...props });
+const Archive         = (props) => __LucideStub({ name: "Archive", ...props });
+const Upload          = (props) => __LucideStub({ name: "Upload", ...props });
 
 /* ===== end lucide-react stubs ===== */
 
@@ -101,11 +103,33 @@ const escapeHtml = (s) =>
 
 const clampNumber = (n, min, max) => Math.max(min, Math.min(max, n));
 
+const downloadFile = (filename, content, mimeType = "text/plain") => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const readFileAsText = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(file);
+  });
+
+// `questions` is the task's justification question set (getJustificationQuestions).
 const composeDelegationJustificationText = ({
   rnName,
   authDays,
   stablePredictable,
   fields,
+  questions,
 }) => {
   const f = fields || {};
   const rn = rnName || "__________";
@@ -115,15 +139,7 @@ const composeDelegationJustificationText = ({
     : "NOT confirmed as stable and predictable";
 
   return [
-    `Length of time RN has worked with employee being delegated: ${f.rnWorkedWithEmployeeLength || "—"}`,
-    `Document method of training/delegating task of administering insulin, including rationale: ${f.trainingMethodAndRationale || "—"}`,
-    `Length of time during career employee has given insulin; include details on within your community and total within career.`,
-    `• Within this community: ${f.insulinExperienceCommunity || "—"}`,
-    `• Total within career: ${f.insulinExperienceCareer || "—"}`,
-    `Length of time the employee has worked directly with the Resident being delegated and knowledge level of individualized signs and symptoms of hyper/hypoglycemia of this resident: ${
-      f.residentWorkAndKnowledge || "—"
-    }`,
-    `Describe the willingness of the Unlicensed Professional to conduct the delegated task: ${f.willingnessDescription || "—"}`,
+    ...questions.map((q) => `${q.label}: ${f[q.key] || "—"}`),
     `I, ${rn}, RN am delegating this employee for the next (${days}) days based on the above criteria and documented assessment in the medical record of the resident being ${stableLine}.`,
   ].join("\n");
 };
@@ -132,8 +148,559 @@ const composeDelegationJustificationText = ({
 const DEFAULT_AUTH_DAYS = 90;
 const MAX_AUTH_DAYS = 180;
 const INITIAL_REEVAL_DUE_DAYS = 60;
+const SUPERVISION_INTERVAL_DAYS = 180;
+const RETRAIN_FOLLOWUP_DAYS = 14;
 const DUE_SOON_DAYS = 14;
 const ASSESSMENT_INTERVAL_DAYS = 90;
+const COMPETENCY_VALID_DAYS = 365;
+
+// Each party signs on its own, often on a different shift; the period activates once both have.
+const SIGNING_PARTIES = { rn: "RN", mt: "Med-Tech" };
+
+// Keys match signMode.rnAttest / mtAttest. A signature stores the wording it was applied under.
+const SIGNING_ATTESTATIONS = {
+  rn: {
+    taughtAndObserved: "I taught this task to the Med-Tech and observed a successful return demonstration.",
+    writtenInstructionsProvided: "I provided written, resident-specific instructions for this task.",
+    clientStablePredictable: "The resident's condition is stable and predictable for this task.",
+    supervisionPlanned: "I have planned supervision and will re-evaluate this delegation on schedule.",
+  },
+  mt: {
+    understandsWhy: "I understand why this task was delegated to me and what it involves.",
+    residentSpecificNonTransferable: "This delegation is for this resident only and I will not pass it on to anyone else.",
+    willReportConcerns: "I will report any change, concern or problem to the RN right away.",
+    acceptsSupervision: "I accept the RN's supervision and re-evaluation of my performance.",
+  },
+};
+
+const getPendingSigners = (d) => Object.keys(SIGNING_PARTIES).filter((party) => !d.signatures?.[party]?.signedAt);
+
+const getSignatureState = (d) => {
+  const rn = !!d.signatures?.rn?.signedAt;
+  const mt = !!d.signatures?.mt?.signedAt;
+  if (rn && mt) return "Signed";
+  if (rn) return "Awaiting Med-Tech";
+  if (mt) return "Awaiting RN";
+  return "Unsigned";
+};
+
+// -------------------- DELEGATION LIFECYCLE --------------------
+// `status` holds the lifecycle state and is the single source of truth for badges, filters and counts:
+//   draft -> pending_signatures -> active -> expiring -> expired
+//   active | expiring | expired -> superseded (REAUTHORIZED by its next period, or SUPERSEDED by another delegation)
+//   active | expiring -> suspended (resident assessed Unstable, or med-tech on leave) -> active once the RN re-validates
+//   any open state -> rescinded
+// expiring/expired are entered by syncTimedLifecycle as the calendar moves, not by the user.
+const DELEGATION_STATES = {
+  draft: { label: "DRAFT", tone: "gray" },
+  pending_signatures: { label: "PENDING SIGNATURES", tone: "yellow" },
+  active: { label: "ACTIVE", tone: "green" },
+  expiring: { label: "DUE SOON", tone: "yellow" },
+  expired: { label: "OVERDUE", tone: "red" },
+  suspended: { label: "SUSPENDED", tone: "red" },
+  superseded: { label: "SUPERSEDED", tone: "gray" },
+  rescinded: { label: "RESCINDED", tone: "red" },
+};
+
+const IN_FORCE_STATES = ["active", "expiring"];
+const OPEN_STATES = ["pending_signatures", "active", "expiring", "expired", "suspended"];
+
+const isFullySigned = (d) => !!(d.signatures?.rn?.signedAt && d.signatures?.mt?.signedAt);
+const requireSignatures = (d) => {
+  if (!isFullySigned(d)) return "Both RN and Med-Tech signatures are required.";
+  const { rn, mt } = d.signatures;
+  if (rn.contentHash && mt.contentHash && rn.contentHash !== mt.contentHash) {
+    return "The RN and Med-Tech signed different versions of the packet; the earlier signer must re-sign.";
+  }
+  return null;
+};
+
+// Keyed by the audit action each transition writes.
+const DELEGATION_TRANSITIONS = {
+  SUBMITTED_FOR_SIGNATURE: { from: ["draft"], to: "pending_signatures" },
+  ACTIVATED: { from: ["pending_signatures"], to: "active", guard: requireSignatures },
+  EXPIRING: { from: ["active"], to: "expiring" },
+  EXPIRED: { from: ["active", "expiring"], to: "expired" },
+  REAUTHORIZED: { from: ["active", "expiring", "expired"], to: "superseded" },
+  SUPERSEDED: { from: ["active", "expiring", "expired"], to: "superseded" },
+  SUSPENDED: { from: IN_FORCE_STATES, to: "suspended" },
+  REVALIDATED: { from: ["suspended"], to: "active" },
+  RESCINDED: { from: ["draft", ...OPEN_STATES], to: "rescinded" },
+};
+
+// Returns null when allowed, otherwise the reason it is not.
+const getTransitionBlocker = (d, action) => {
+  const t = DELEGATION_TRANSITIONS[action];
+  if (!t) return `Unknown transition ${action}.`;
+  if (!t.from.includes(d.status)) {
+    return `Cannot go from ${DELEGATION_STATES[d.status]?.label || d.status} to ${DELEGATION_STATES[t.to].label}.`;
+  }
+  return t.guard ? t.guard(d) : null;
+};
+
+const canTransition = (d, action) => !getTransitionBlocker(d, action);
+
+// Applies `patch`, then moves the delegation to the transition's target state and writes the audit entry.
+// The guard sees the patched record, so e.g. signatures saved in the same step count toward ACTIVATED.
+function transitionDelegation(d, action, { detail = "", patch = {}, at = new Date().toISOString() } = {}) {
+  const next = { ...d, ...patch };
+  const blocker = getTransitionBlocker(next, action);
+  if (blocker) throw new Error(blocker);
+  const to = DELEGATION_TRANSITIONS[action].to;
+  return {
+    ...next,
+    status: to,
+    audit: [...(d.audit || []), { at, action, detail, from: d.status, to }],
+  };
+}
+
+// Moves in-force delegations to expiring/expired as their end date approaches; returns d unchanged otherwise.
+function syncTimedLifecycle(d, today) {
+  if (!IN_FORCE_STATES.includes(d.status) || !d.endDate) return d;
+  const daysLeft = daysBetween(today, d.endDate);
+  if (daysLeft < 0) return transitionDelegation(d, "EXPIRED", { detail: `Authorization ended ${d.endDate}` });
+  if (daysLeft <= DUE_SOON_DAYS && d.status === "active") {
+    return transitionDelegation(d, "EXPIRING", { detail: `${daysLeft} days until authorization ends` });
+  }
+  return d;
+}
+
+// `cause` is "resident" (assessed Unstable) or "employment" (med-tech on leave); it decides what re-validation checks.
+function suspendDelegations(delegations, ids, reason, cause, at = new Date().toISOString()) {
+  return delegations.map((d) =>
+    ids.includes(d.id)
+      ? transitionDelegation(d, "SUSPENDED", {
+          detail: reason,
+          patch: { suspendedAt: at, suspendedReason: reason, suspendedCause: cause },
+          at,
+        })
+      : d
+  );
+}
+
+// Suspensions recorded before the cause was stored are told apart by the employment cascade's reason text.
+const getSuspendedCause = (d) =>
+  d.suspendedCause || ((d.suspendedReason || "").startsWith("Med-tech ") ? "employment" : "resident");
+
+const getDelegationDisplayStatus = (d) => DELEGATION_STATES[d.status]?.label || (d.status || "").toUpperCase();
+
+const DELEGATION_FILTER_LABELS = {
+  active: "Active (in force)",
+  dueSoon: "Due Soon",
+  overdue: "Overdue",
+  diabeticAssessmentsOverdue: "Diabetic Assessments Overdue",
+  drafts: "Drafts",
+  unsigned: "Pending Signatures",
+  suspended: "Suspended (resident unstable or med-tech on leave)",
+  supervisionOverdue: "Supervision Overdue",
+  modifiedAfterSigning: "Modified After Signing",
+  rescinded: "Rescinded",
+  superseded: "Superseded",
+};
+
+// -------------------- AUTHORIZATION PERIODS --------------------
+// Each authorization period is its own delegation record. A reauthorization links back through
+// previousDelegationId; the period it replaces keeps its own justification, signatures and frozen packet.
+const getPeriodNumber = (d) => d.periodNumber || 1;
+
+// Fields a new period inherits from the one it continues.
+const pickDelegationBasis = (d) => ({
+  residentId: d.residentId,
+  medTechId: d.medTechId,
+  taskId: d.taskId,
+  checklist: d.checklist,
+  competencyMethods: d.competencyMethods,
+  packetCustomization: d.packetCustomization,
+});
+
+// `resident` is the delegation's resident; an Unstable one holds reauthorization as it holds the periods in force.
+const getReauthorizationBlocker = (d, resident) => {
+  if (d.pendingReauthorizationId) return "A reauthorization for this delegation is already awaiting signatures.";
+  if (resident?.assessmentStatus === "Unstable") {
+    return `${resident.name}'s latest assessment is Unstable. Record a Stable assessment before reauthorizing.`;
+  }
+  return getTransitionBlocker(d, "REAUTHORIZED");
+};
+
+// Oldest period first.
+function getAuthorizationChain(delegations, d) {
+  const byId = new Map(delegations.map((x) => [x.id, x]));
+  let first = d;
+  const seen = new Set([d.id]);
+  while (first.previousDelegationId && byId.has(first.previousDelegationId) && !seen.has(first.previousDelegationId)) {
+    first = byId.get(first.previousDelegationId);
+    seen.add(first.id);
+  }
+  const chain = [first];
+  let cursor = first;
+  for (;;) {
+    const next = delegations.find((x) => x.previousDelegationId === cursor.id && !chain.includes(x));
+    if (!next) break;
+    chain.push(next);
+    cursor = next;
+  }
+  return chain;
+}
+
+const getAuditDate = (d, action) => (d.audit || []).find((a) => a.action === action)?.at?.slice(0, 10) || null;
+
+// { from, to } (ISO dates, `to` null while open-ended) a period was signed and in force, or null if it never was.
+function getPeriodInForceSpan(p) {
+  const activatedOn = getAuditDate(p, "ACTIVATED") || (isFullySigned(p) ? p.startDate : null);
+  if (!activatedOn) return null;
+  return {
+    from: [activatedOn, p.startDate].filter(Boolean).sort().pop(),
+    to: [p.endDate, p.supersededAt?.slice(0, 10), p.rescindDate].filter(Boolean).sort()[0] || null,
+  };
+}
+
+// The period that was signed and in force on dateISO, if any.
+function findPeriodInForceOn(chain, dateISO) {
+  return (
+    chain.find((p) => {
+      const span = getPeriodInForceSpan(p);
+      return !!span && dateISO >= span.from && (!span.to || dateISO <= span.to);
+    }) || null
+  );
+}
+
+// Once a reauthorization is signed, the period it continues is retired.
+function retirePreviousPeriod(delegations, activated) {
+  if (!activated.previousDelegationId) return delegations;
+  const at = new Date().toISOString();
+  return delegations.map((d) => {
+    if (d.id !== activated.previousDelegationId) return d;
+    const cleared = { ...d, pendingReauthorizationId: null };
+    if (!canTransition(cleared, "REAUTHORIZED")) return cleared;
+    return transitionDelegation(cleared, "REAUTHORIZED", {
+      detail: `Replaced by period ${getPeriodNumber(activated)} (${activated.id})`,
+      patch: { supersededById: activated.id, supersededAt: at },
+      at,
+    });
+  });
+}
+
+// Open delegations for the same resident, med-tech and task as a proposed new one.
+const findOverlappingDelegations = (delegations, { residentId, medTechId, taskId }) =>
+  delegations.filter(
+    (d) => OPEN_STATES.includes(d.status) && d.residentId === residentId && d.medTechId === medTechId && d.taskId === taskId
+  );
+
+// A new delegation created over an existing one (rather than as its reauthorization) replaces it once signed.
+function retireSupersededDelegations(delegations, activated) {
+  const ids = activated.supersedesDelegationIds || [];
+  if (!ids.length) return delegations;
+  const at = new Date().toISOString();
+  return delegations.map((d) => {
+    if (!ids.includes(d.id) || !canTransition(d, "SUPERSEDED")) return d;
+    return transitionDelegation(d, "SUPERSEDED", {
+      detail: `Superseded by new delegation ${activated.id}`,
+      patch: { supersededById: activated.id, supersededAt: at },
+      at,
+    });
+  });
+}
+
+// A rescinded reauthorization no longer blocks a new one on the period it was continuing.
+function rescindDelegations(delegations, ids, reason, rescindDate) {
+  return delegations.map((d) => {
+    if (ids.includes(d.id)) {
+      return transitionDelegation(d, "RESCINDED", { detail: reason, patch: { rescindReason: reason, rescindDate } });
+    }
+    if (ids.includes(d.pendingReauthorizationId)) return { ...d, pendingReauthorizationId: null };
+    return d;
+  });
+}
+
+// Frozen at activation so a period always reprints exactly as signed, whatever is edited later.
+function freezePacketContent({ resident, medTech, community, task, customization }) {
+  return {
+    frozenAt: new Date().toISOString(),
+    orgName: community?.name || "",
+    orgRNName: community?.rn?.name || "",
+    resident: resident ? { id: resident.id, name: resident.name, dob: resident.dob, regimen: resident.regimen } : null,
+    medTech: medTech
+      ? {
+          id: medTech.id,
+          name: medTech.name,
+          willingness: medTech.willingness,
+          delegationProfile: { ...(medTech.delegationProfile || {}) },
+        }
+      : null,
+    task: task
+      ? {
+          id: task.id,
+          version: task.version,
+          label: task.label,
+          formTemplate: task.formTemplate,
+          justificationQuestions: task.justificationQuestions,
+        }
+      : null,
+    packet: task ? tailorPacket(task.packet, customization) : null,
+  };
+}
+
+// -------------------- SIGNED CONTENT --------------------
+// What a signature vouches for: everything the packet prints apart from the signatures themselves.
+function getSignedContent({ resident, medTech, task, packet, delegation }) {
+  return {
+    resident: { name: resident?.name, dob: resident?.dob, regimen: resident?.regimen },
+    medTech: { id: medTech?.id, name: medTech?.name },
+    task: { id: task?.id, version: task?.version, label: task?.label },
+    packet,
+    checklist: delegation.checklist,
+    competencyMethods: delegation.competencyMethods,
+    justification: delegation.justification,
+    authDays: delegation.authDays,
+    startDate: delegation.startDate,
+    endDate: delegation.endDate,
+  };
+}
+
+// Key-sorted JSON, so equal content always hashes the same whatever order its keys were written in.
+const canonicalJSON = (v) => {
+  if (Array.isArray(v)) return `[${v.map(canonicalJSON).join(",")}]`;
+  if (v && typeof v === "object") {
+    return `{${Object.keys(v)
+      .filter((k) => v[k] !== undefined)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonicalJSON(v[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(v ?? null);
+};
+
+const sha256Hex = async (bytes) => {
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return [...new Uint8Array(digest)].map((b) => b.toString(16).padStart(2, "0")).join("");
+};
+
+const hashSignedContent = (content) => sha256Hex(new TextEncoder().encode(canonicalJSON(content)));
+
+// -------------------- SUPERVISION --------------------
+const SUPERVISION_METHODS = {
+  directObservation: "Direct observation of task",
+  returnDemonstration: "Return demonstration",
+  recordReview: "MAR / record review",
+  medTechInterview: "Interview with Med-Tech",
+  residentInterview: "Interview with resident/representative",
+  other: "Other",
+};
+
+const SUPERVISION_OUTCOMES = {
+  continue: { label: "Continue delegation", tone: "green" },
+  retrain: { label: "Retrain & re-observe", tone: "yellow" },
+  rescind: { label: "Rescind delegation", tone: "red" },
+};
+
+const getSupervisionVisits = (d) =>
+  [...(d.supervisionHistory || [])].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+
+// First matching rule decides the next visit. Each returns { dueDate, reason }.
+const SUPERVISION_RULES = [
+  {
+    id: "retrain-followup",
+    applies: (d, last) => last?.outcome === "retrain",
+    due: (d, last) => ({
+      dueDate: addDays(last.date, RETRAIN_FOLLOWUP_DAYS),
+      reason: `Re-observe within ${RETRAIN_FOLLOWUP_DAYS} days of retraining`,
+    }),
+  },
+  {
+    id: "routine",
+    applies: (d, last) => !!last,
+    due: (d, last) => ({
+      dueDate: addDays(last.date, SUPERVISION_INTERVAL_DAYS),
+      reason: `Routine supervision every ${SUPERVISION_INTERVAL_DAYS} days`,
+    }),
+  },
+  {
+    id: "reauthorized-period",
+    applies: (d) => !!d.previousDelegationId,
+    due: (d) => ({
+      dueDate: addDays(d.startDate, Math.min(d.authDays || SUPERVISION_INTERVAL_DAYS, SUPERVISION_INTERVAL_DAYS)),
+      reason: "Supervision within the reauthorized period",
+    }),
+  },
+  {
+    id: "initial",
+    applies: () => true,
+    due: (d) => ({
+      dueDate: d.startDate ? addDays(d.startDate, INITIAL_REEVAL_DUE_DAYS) : null,
+      reason: `Initial re-evaluation within ${INITIAL_REEVAL_DUE_DAYS} days of delegation`,
+    }),
+  },
+];
+
+function getSupervisionDue(d) {
+  const visits = getSupervisionVisits(d);
+  const last = visits[visits.length - 1] || null;
+  const rule = SUPERVISION_RULES.find((r) => r.applies(d, last));
+  return { ...rule.due(d, last), ruleId: rule.id, lastVisit: last };
+}
+
+// Supervision only matters while the med-tech may still be performing the task.
+const isSupervisionOverdue = (d, today) => {
+  if (!["active", "expiring", "expired"].includes(d.status)) return false;
+  const { dueDate } = getSupervisionDue(d);
+  return !!dueDate && dueDate < today;
+};
+
+// -------------------- MED-TECH EMPLOYMENT --------------------
+// `cascade` is the transition applied to the med-tech's delegations when they move into that status.
+const EMPLOYMENT_STATUSES = {
+  active: { label: "Active", tone: "green", cascade: null },
+  on_leave: { label: "On Leave", tone: "yellow", cascade: "SUSPENDED" },
+  transferred: { label: "Transferred", tone: "gray", cascade: "RESCINDED" },
+  terminated: { label: "Terminated", tone: "red", cascade: "RESCINDED" },
+};
+
+// Records saved before employment tracking have no `employment` and count as active.
+const getEmploymentStatus = (m) => m?.employment?.status || "active";
+const isMedTechEmployed = (m) => getEmploymentStatus(m) === "active";
+
+function getEmploymentCascade(delegations, medTech, status, effectiveDate) {
+  const action = EMPLOYMENT_STATUSES[status]?.cascade;
+  if (!action) return { action: null, reason: "", affected: [] };
+  return {
+    action,
+    reason: `Med-tech ${medTech.name} ${EMPLOYMENT_STATUSES[status].label.toLowerCase()} effective ${effectiveDate}`,
+    affected: delegations.filter((d) => d.medTechId === medTech.id && canTransition(d, action)),
+  };
+}
+
+// -------------------- ELIGIBILITY --------------------
+function getNextAssessmentDueDate(resident) {
+  if (!resident) return null;
+  if (resident.nextAssessmentDate) return resident.nextAssessmentDate;
+  const interval = resident.reassessInDays || ASSESSMENT_INTERVAL_DAYS;
+  if (resident.lastAssessmentDate) return addDays(resident.lastAssessmentDate, interval);
+  return null;
+}
+
+const getLatestCompetencyDate = (m) =>
+  [m?.competencyDates?.demonstrated, m?.competencyDates?.redemonstrated].filter(Boolean).sort().pop() || null;
+
+const hasTrainingForTask = (m, task) => {
+  const keywords = task?.trainingKeywords || [];
+  return (m?.trainingTranscript || []).some((tr) => {
+    const text = `${tr.topic || ""} ${tr.notes || ""}`.toLowerCase();
+    return keywords.some((k) => text.includes(k));
+  });
+};
+
+// "block" stops createDelegation; "warn" needs the RN to confirm. Task rules run once per selected task.
+const ELIGIBILITY_RULES = [
+  {
+    id: "medtech-employed",
+    severity: "block",
+    check: ({ medTech }) =>
+      medTech && !isMedTechEmployed(medTech)
+        ? `${medTech.name} is ${EMPLOYMENT_STATUSES[getEmploymentStatus(medTech)].label.toLowerCase()}.`
+        : null,
+  },
+  {
+    id: "willingness",
+    severity: "block",
+    check: ({ medTech }) => (medTech?.willingness === false ? `${medTech.name} is recorded as not willing to perform delegated tasks.` : null),
+  },
+  {
+    id: "willingness-unknown",
+    severity: "warn",
+    check: ({ medTech }) =>
+      medTech && medTech.willingness !== true && medTech.willingness !== false
+        ? `Willingness has not been recorded for ${medTech.name}.`
+        : null,
+  },
+  {
+    id: "competency-missing",
+    severity: "block",
+    check: ({ medTech }) =>
+      medTech && !medTech.competencyDates?.demonstrated ? `No demonstrated competency date on file for ${medTech.name}.` : null,
+  },
+  {
+    id: "competency-stale",
+    severity: "warn",
+    check: ({ medTech, today }) => {
+      const last = getLatestCompetencyDate(medTech);
+      if (!medTech?.competencyDates?.demonstrated || !last) return null;
+      const age = daysBetween(last, today);
+      return age > COMPETENCY_VALID_DAYS
+        ? `Competency last demonstrated ${formatDate(last)} (${age} days ago; re-validate every ${COMPETENCY_VALID_DAYS} days).`
+        : null;
+    },
+  },
+  {
+    id: "task-training",
+    severity: "warn",
+    perTask: true,
+    check: ({ medTech, task }) =>
+      medTech && !hasTrainingForTask(medTech, task) ? `Transcript has no training relevant to ${task.label}.` : null,
+  },
+  {
+    id: "competency-methods",
+    severity: "block",
+    perTask: true,
+    check: ({ task, competencyMethods }) => {
+      const missing = (task.requiredCompetencyMethods || []).filter((k) => !competencyMethods?.[k]);
+      return missing.length
+        ? `${task.label} requires competency methods: ${missing.map((k) => COMPETENCY_METHODS[k] || k).join(", ")}.`
+        : null;
+    },
+  },
+  {
+    id: "resident-assessment",
+    severity: "block",
+    check: ({ resident, today }) => {
+      if (!resident) return null;
+      if (!resident.lastAssessmentDate) return `${resident.name} has no assessment on file.`;
+      const due = getNextAssessmentDueDate(resident);
+      if (due && due < today) return `${resident.name}'s assessment was due ${formatDate(due)}.`;
+      return null;
+    },
+  },
+  {
+    id: "resident-stable",
+    severity: "block",
+    check: ({ resident }) =>
+      resident?.assessmentStatus === "Unstable" ? `${resident.name}'s latest assessment is Unstable.` : null,
+  },
+];
+
+// `tasks` are catalog versions (getTaskVersion). Returns [{ ruleId, severity, message, taskId }] for every rule that fails.
+function checkDelegationEligibility({ resident, medTech, tasks = [], competencyMethods, today }) {
+  const issues = [];
+  ELIGIBILITY_RULES.forEach((rule) => {
+    (rule.perTask ? tasks : [null]).forEach((task) => {
+      const message = rule.check({ resident, medTech, task, competencyMethods, today });
+      if (message) issues.push({ ruleId: rule.id, severity: rule.severity, message, taskId: task?.id || null });
+    });
+  });
+  return issues;
+}
+
+// -------------------- NEW DELEGATION WIZARD --------------------
+const OBN_CHECKLIST_ITEMS = {
+  stableCondition: "Resident is stable and predictable (documented in medical record)",
+  safeEnvironment: "Environment is safe for delegation",
+  uapSkills: "UAP has the knowledge and skills to perform the task",
+  uapWilling: "UAP is willing to perform task",
+  rnAvailable: "RN is available for consultation and supervision",
+  writtenInstructions: "Written, resident-specific instructions are provided",
+  nonTransferable: "UAP understands the delegation cannot be transferred to others",
+};
+
+// Eligibility issues are reported on the step whose inputs can resolve them; everything else lands on selection.
+const NEW_DELEGATION_STEPS = [
+  { id: "selection", label: "Selection" },
+  { id: "checklist", label: "OBN Checklist" },
+  { id: "competency", label: "Competency", eligibilityRules: ["competency-methods"] },
+  { id: "justification", label: "Justification" },
+  { id: "review", label: "Review" },
+];
+
+const getEligibilityStep = (ruleId) =>
+  (NEW_DELEGATION_STEPS.find((s) => s.eligibilityRules?.includes(ruleId)) || NEW_DELEGATION_STEPS[0]).id;
 
 // -------------------- TASK TEMPLATES --------------------
 const DELEGATION_TASKS = [
@@ -141,31 +708,37 @@ const DELEGATION_TASKS = [
     id: "insulin-pen",
     label: "Insulin Administration (Pen)",
     formTemplate: "RN Delegation Insulin Pen.docx",
+    trainingKeywords: ["insulin"],
   },
   {
     id: "insulin-vial",
     label: "Insulin Administration (Vial/Syringe)",
     formTemplate: "RN Delegation Insulin Vial.docx",
+    trainingKeywords: ["insulin", "vial", "syringe"],
   },
   {
     id: "trulicity",
     label: "Trulicity Administration",
     formTemplate: "RN Delegation Instructions Trulicity.docx",
+    trainingKeywords: ["trulicity", "glp-1", "injectable"],
   },
   {
     id: "libre-sensor",
     label: "Libre Sensor Removal/Application",
     formTemplate: "RN Delegation Instructions Libre Sensor.docx",
+    trainingKeywords: ["libre", "sensor", "cgm"],
   },
   {
     id: "glucose-monitoring",
     label: "Blood Glucose Measurement",
     formTemplate: "RN Delegation Glucose Monitoring.docx",
+    trainingKeywords: ["glucose", "glucometer", "blood sugar"],
   },
   {
     id: "glp-1",
     label: "GLP-1 Agonists Administration",
     formTemplate: "RN Delegation of GLP-1.docx",
+    trainingKeywords: ["glp-1", "glp1", "trulicity", "ozempic", "injectable"],
   },
 ];
 
@@ -288,6 +861,191 @@ const TASK_PACKET_SNIPPETS = {
   },
 };
 
+// -------------------- TASK CATALOG --------------------
+// The catalog is stored data, seeded from DELEGATION_TASKS and TASK_PACKET_SNIPPETS. Saving a task appends a
+// version and never edits an old one; each delegation keeps the taskVersion it was created against.
+const COMPETENCY_METHODS = {
+  lecture: "Lecture",
+  discussion: "Discussion",
+  demonstration: "Demonstration",
+  returnDemonstration: "Return Demo",
+  packetReviewed: "Packet Reviewed",
+  writtenTest: "Written Test",
+  verbalTest: "Verbal Test",
+  other: "Other",
+};
+
+// The original insulin questionnaire; every task asked it before tasks had their own.
+const INSULIN_JUSTIFICATION_QUESTIONS = [
+  {
+    key: "rnWorkedWithEmployeeLength",
+    label: "Length of time RN has worked with employee being delegated",
+    profileKey: "rnWorkedWithEmployeeLength",
+  },
+  {
+    key: "trainingMethodAndRationale",
+    label: "Document method of training/delegating task of administering insulin, including rationale",
+    multiline: true,
+  },
+  {
+    key: "insulinExperienceCommunity",
+    label: "Length of time employee has given insulin (within your community)",
+    profileKey: "insulinExperienceCommunity",
+  },
+  {
+    key: "insulinExperienceCareer",
+    label: "Length of time employee has given insulin (total within career)",
+    profileKey: "insulinExperienceCareer",
+  },
+  {
+    key: "residentWorkAndKnowledge",
+    label:
+      "Length of time the employee has worked directly with the Resident being delegated and knowledge level of individualized signs and symptoms of hyper/hypoglycemia of this resident",
+    multiline: true,
+  },
+  {
+    key: "willingnessDescription",
+    label: "Describe the willingness of the Unlicensed Professional to conduct the delegated task",
+    multiline: true,
+    profileKey: "willingnessDescription",
+  },
+];
+
+const buildTaskJustificationQuestions = (activity, residentSigns) => [
+  INSULIN_JUSTIFICATION_QUESTIONS[0],
+  {
+    key: "trainingMethodAndRationale",
+    label: `Document method of training/delegating the task of ${activity}, including rationale`,
+    multiline: true,
+  },
+  { key: "taskExperienceCommunity", label: `Length of time employee has been ${activity} (within your community)` },
+  { key: "taskExperienceCareer", label: `Length of time employee has been ${activity} (total within career)` },
+  {
+    key: "residentWorkAndKnowledge",
+    label: `Length of time the employee has worked directly with the Resident being delegated and knowledge level of ${residentSigns} of this resident`,
+    multiline: true,
+  },
+  INSULIN_JUSTIFICATION_QUESTIONS[5],
+];
+
+const TASK_JUSTIFICATION_QUESTIONS = {
+  trulicity: buildTaskJustificationQuestions(
+    "administering Trulicity injections",
+    "individualized signs and symptoms of hypoglycemia and GI side effects"
+  ),
+  "libre-sensor": buildTaskJustificationQuestions(
+    "applying and removing Libre sensors",
+    "individualized signs and symptoms of hyper/hypoglycemia and sensor-site problems"
+  ),
+  "glucose-monitoring": buildTaskJustificationQuestions(
+    "measuring blood glucose",
+    "individualized signs and symptoms of hyper/hypoglycemia"
+  ),
+  "glp-1": buildTaskJustificationQuestions(
+    "administering GLP-1 agonist injections",
+    "individualized signs and symptoms of hypoglycemia and GI side effects"
+  ),
+};
+
+// Snapshots frozen before questionnaires existed carry no questions; they were asked the insulin set.
+const getJustificationQuestions = (task) =>
+  task?.justificationQuestions?.length ? task.justificationQuestions : INSULIN_JUSTIFICATION_QUESTIONS;
+
+// Questions for several tasks at once, asked once per key and wording; `taskIds` lists the tasks each one is for.
+// A key the tasks word differently is asked once per wording, answered under `${key}.${first task id}`.
+function mergeJustificationQuestions(tasks) {
+  const groups = [];
+  tasks.forEach((t) =>
+    getJustificationQuestions(t).forEach((q) => {
+      let g = groups.find((x) => x.answerKey === q.key && x.label === q.label);
+      if (!g) groups.push((g = { ...q, answerKey: q.key, taskIds: [] }));
+      g.taskIds.push(t.id);
+    })
+  );
+  return groups.map((g) =>
+    groups.some((x) => x !== g && x.answerKey === g.answerKey) ? { ...g, key: `${g.answerKey}.${g.taskIds[0]}` } : g
+  );
+}
+
+const pickJustification = (answers, questions) =>
+  Object.fromEntries(questions.map((q) => [q.key, (answers || {})[q.key] || ""]));
+
+// One task's answers out of a form asked with mergeJustificationQuestions.
+const pickTaskJustification = (answers, task, merged) =>
+  Object.fromEntries(
+    getJustificationQuestions(task).map((q) => {
+      const asked = merged.find((m) => m.answerKey === q.key && m.taskIds.includes(task.id));
+      return [q.key, (answers || {})[asked ? asked.key : q.key] || ""];
+    })
+  );
+
+const DEFAULT_TASK_CATALOG = DELEGATION_TASKS.map((t) => {
+  const packet = TASK_PACKET_SNIPPETS[t.id] || {};
+  return {
+    id: t.id,
+    versions: [
+      {
+        version: 1,
+        createdAt: null,
+        label: t.label,
+        formTemplate: t.formTemplate,
+        trainingKeywords: t.trainingKeywords || [],
+        steps: packet.steps || [],
+        watchFor: packet.watchFor || [],
+        actionIfOccurs: packet.actionIfOccurs || [],
+        requiredCompetencyMethods: [],
+        justificationQuestions: TASK_JUSTIFICATION_QUESTIONS[t.id] || INSULIN_JUSTIFICATION_QUESTIONS,
+      },
+    ],
+  };
+});
+
+// One version flattened to what the rest of the app reads; the latest when `version` is not given.
+// A pinned version missing from the catalog returns null rather than another version's content.
+function getTaskVersion(catalog, taskId, version) {
+  const entry = catalog.find((t) => t.id === taskId);
+  if (!entry || !entry.versions.length) return null;
+  const v = version == null ? entry.versions[entry.versions.length - 1] : entry.versions.find((x) => x.version === version);
+  if (!v) return null;
+  return {
+    id: entry.id,
+    version: v.version,
+    label: v.label,
+    formTemplate: v.formTemplate,
+    trainingKeywords: v.trainingKeywords || [],
+    requiredCompetencyMethods: v.requiredCompetencyMethods || [],
+    justificationQuestions: getJustificationQuestions(v),
+    packet: { title: v.label, steps: v.steps || [], watchFor: v.watchFor || [], actionIfOccurs: v.actionIfOccurs || [] },
+  };
+}
+
+const getCurrentTasks = (catalog) => catalog.map((t) => getTaskVersion(catalog, t.id));
+
+// Resident-specific additions the RN layers on a delegation's task template, e.g. "Hold Lantus if BG < 80".
+const PACKET_CUSTOMIZATION_FIELDS = {
+  residentSteps: "Resident-Specific Steps",
+  parameters: "Resident Parameters / Thresholds",
+  notifications: "Notification Instructions",
+};
+
+const tailorPacket = (packet, customization) => ({
+  ...packet,
+  ...Object.fromEntries(Object.keys(PACKET_CUSTOMIZATION_FIELDS).map((k) => [k, customization?.[k] || []])),
+});
+
+// Only periods that have not been signed into force can still be tailored.
+const canCustomizePacket = (d) => !d.packetSnapshot && ["draft", "pending_signatures"].includes(d.status);
+
+// Returns the catalog with a new version of taskId (or a new task when taskId is null).
+function saveTaskVersion(catalog, taskId, content, createdAt = new Date().toISOString()) {
+  const entry = taskId && catalog.find((t) => t.id === taskId);
+  if (!entry) {
+    return [...catalog, { id: uid("task"), versions: [{ ...content, version: 1, createdAt }] }];
+  }
+  const version = Math.max(...entry.versions.map((v) => v.version)) + 1;
+  return catalog.map((t) => (t.id === taskId ? { ...t, versions: [...t.versions, { ...content, version, createdAt }] } : t));
+}
+
 // -------------------- MOCK DATA --------------------
 const MOCK_COMMUNITIES = [
   {
@@ -447,74 +1205,1541 @@ const MOCK_MEDTECHS = [
   },
 ];
 
-// -------------------- UI PRIMITIVES --------------------
-const Badge = ({ children, tone = "gray" }) => {
-  const tones = {
-    gray: "bg-gray-100 text-gray-700",
-    green: "bg-green-50 text-green-700",
-    yellow: "bg-yellow-50 text-yellow-800",
-    red: "bg-red-50 text-red-700",
-    indigo: "bg-indigo-50 text-indigo-700",
-  };
-  return (
-    <span
-      className={`inline-flex items-center px-2 py-1 text-xs rounded-md border ${tones[tone]}`}
-    >
-      {children}
-    </span>
-  );
+const MOCK_DELEGATIONS = [
+  {
+    id: "del-expired-001",
+    residentId: "res-003",
+    medTechId: "mt-001",
+    taskId: "insulin-pen",
+    taskVersion: 1,
+    startDate: addDays(todayISO(), -100),
+    endDate: addDays(todayISO(), -10),
+    authDays: 90,
+    status: "active",
+    checklist: {
+      stableCondition: true,
+      safeEnvironment: true,
+      uapSkills: true,
+      uapWilling: true,
+      rnAvailable: true,
+      writtenInstructions: true,
+      nonTransferable: true,
+    },
+    competencyMethods: {
+      lecture: false,
+      discussion: true,
+      demonstration: true,
+      returnDemonstration: true,
+      packetReviewed: true,
+      other: false,
+    },
+    justification: {
+      rnWorkedWithEmployeeLength: "RN has worked with employee for 5 years (multiple direct observations).",
+      trainingMethodAndRationale: "Return demonstration observed; rationale: task is routine, employee is competent and follows policy.",
+      insulinExperienceCommunity: "5 years within this community administering insulin per MAR.",
+      insulinExperienceCareer: "5+ years total administering insulin across prior roles.",
+      residentWorkAndKnowledge: "Worked with resident for 2+ years; recognizes individualized signs of hypoglycemia and hyperglycemia for this resident.",
+      willingnessDescription: "Willing; reports concerns and follows RN direction.",
+    },
+    authJustification:
+      "See justification fields (structured) in packet.",
+    supervisionHistory: [],
+    signatures: {
+      rn: { signedAt: addDays(todayISO(), -100), typedName: "Janet Westlund, RN", method: "TYPED" },
+      mt: { signedAt: addDays(todayISO(), -100), typedName: "Kevin Mills", method: "TYPED" },
+    },
+    audit: [
+      { at: addDays(todayISO(), -100), action: "CREATED", detail: "Initial Auth 90 days" },
+    ],
+  },
+];
+
+// -------------------- PERSISTENCE --------------------
+// Snapshot = { version, savedAt, data: { communities, residents, medTechs, delegations, taskCatalog, formTemplates } }.
+// Bump STORE_SCHEMA_VERSION whenever a record shape changes and add the matching migration.
+const STORE_SCHEMA_VERSION = 6;
+const STORE_DB_NAME = "carescope-delegations";
+const STORE_DB_OBJECT_STORE = "snapshots";
+const STORE_SNAPSHOT_KEY = "app-state";
+const STORE_LOCAL_KEY = "carescope-delegations:app-state";
+
+// STORE_MIGRATIONS[n] upgrades the data of a version-n snapshot to version n + 1.
+const STORE_MIGRATIONS = {
+  // v0: unversioned data saved before the schema number existed.
+  0: (data) => ({
+    communities: data.communities || [],
+    residents: data.residents || [],
+    medTechs: data.medTechs || [],
+    delegations: data.delegations || [],
+  }),
+  // v1 -> v2: status was only "active" | "rescinded". Unsigned "active" records were never really in force.
+  1: (data) => ({
+    ...data,
+    delegations: (data.delegations || []).map((d) =>
+      d.status === "active" && !isFullySigned(d) ? { ...d, status: "pending_signatures" } : d
+    ),
+  }),
+  // v2 -> v3: supervision due dates are computed from supervisionHistory instead of stored.
+  2: (data) => ({
+    ...data,
+    delegations: (data.delegations || []).map(({ supervisionDueDate, ...d }) => ({
+      ...d,
+      supervisionHistory: d.supervisionHistory || [],
+    })),
+  }),
+  // v3 -> v4: tasks moved from constants into a stored, versioned catalog; existing delegations used version 1.
+  3: (data) => ({
+    ...data,
+    // Questionnaires arrive in v5, so the seeded catalog is stored without them here.
+    taskCatalog:
+      data.taskCatalog ||
+      DEFAULT_TASK_CATALOG.map((t) => ({ ...t, versions: t.versions.map(({ justificationQuestions, ...v }) => v) })),
+    delegations: (data.delegations || []).map((d) => ({ ...d, taskVersion: d.taskVersion || 1 })),
+  }),
+  // v4 -> v5: tasks define their own justification questions. Existing versions asked the insulin set;
+  // tasks seeded with a different set get it as a new version so existing delegations keep theirs.
+  4: (data) => ({
+    ...data,
+    taskCatalog: (data.taskCatalog || []).map((t) => {
+      const versions = t.versions.map((v) =>
+        v.justificationQuestions ? v : { ...v, justificationQuestions: INSULIN_JUSTIFICATION_QUESTIONS }
+      );
+      const seeded = TASK_JUSTIFICATION_QUESTIONS[t.id];
+      if (!seeded) return { ...t, versions };
+      const latest = versions[versions.length - 1];
+      return {
+        ...t,
+        versions: [
+          ...versions,
+          { ...latest, version: latest.version + 1, createdAt: new Date().toISOString(), justificationQuestions: seeded },
+        ],
+      };
+    }),
+  }),
+  // v5 -> v6: uploaded Word templates, matched to tasks by their formTemplate name.
+  5: (data) => ({ ...data, formTemplates: data.formTemplates || [] }),
 };
 
-const Card = ({ title, value, icon, hint, tone = "indigo", onClick }) => {
-  const toneMap = {
-    indigo: "bg-gray-200",
-    red: "bg-red-100",
-    yellow: "bg-gray-200",
-    green: "bg-gray-200",
-    gray: "bg-gray-200",
-  };
-  return (
-    <div
-      onClick={onClick}
-      className={`rounded-2xl shadow-sm border p-4 transition-all ${toneMap[tone]} ${
-        onClick ? "cursor-pointer hover:shadow-md hover:brightness-95" : ""
-      }`}
-    >
-      <div className="flex items-start justify-between gap-3">
-        <div>
-          <div className="text-sm text-gray-600">{title}</div>
-          <div className="text-3xl font-bold text-gray-900 mt-1">{value}</div>
-          {hint ? <div className="text-xs text-gray-500 mt-1">{hint}</div> : null}
-        </div>
-        <div className="p-2 rounded-xl bg-white border border-gray-200">
-          {icon}
-        </div>
-      </div>
-    </div>
-  );
+const migrateSnapshot = (snapshot) => {
+  let version = Number.isFinite(snapshot?.version) ? snapshot.version : 0;
+  let data = snapshot?.data || {};
+  if (version > STORE_SCHEMA_VERSION) {
+    throw new Error(
+      `Saved data is schema v${version}, but this app only understands up to v${STORE_SCHEMA_VERSION}.`
+    );
+  }
+  while (version < STORE_SCHEMA_VERSION) {
+    const migrate = STORE_MIGRATIONS[version];
+    if (!migrate) throw new Error(`No migration from schema v${version}.`);
+    data = migrate(data);
+    version += 1;
+  }
+  return { ...snapshot, version, data };
 };
 
-const Button = ({
-  children,
-  onClick,
-  variant = "primary",
-  disabled = false,
-  className = "",
-  title,
-}) => {
-  const base =
-    "inline-flex items-center justify-center gap-2 rounded-xl px-3 py-2 text-sm font-semibold border shadow-sm transition active:scale-[0.99]";
-  const variants = {
-    primary: "bg-indigo-600 text-white hover:bg-indigo-700",
-    secondary:
-      "bg-white text-gray-800 border-gray-200 hover:bg-gray-50",
-    danger: "bg-white text-red-700 border-red-200 hover:bg-red-50",
-    ghost: "bg-transparent text-gray-700 hover:bg-gray-100",
-  };
-  return (
-    <button
-      onClick={onClick}
-      disabled={disabled}
+// One connection for the page's lifetime; the app saves on every change. A failed open is retried next time.
+let storeDBPromise = null;
+const openStoreDB = () => {
+  if (!storeDBPromise) {
+    storeDBPromise = new Promise((resolve, reject) => {
+      const req = window.indexedDB.open(STORE_DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE_DB_OBJECT_STORE);
+      req.onsuccess = () => {
+        const db = req.result;
+        // Another tab upgrading the database needs this connection out of the way.
+        db.onversionchange = () => {
+          db.close();
+          storeDBPromise = null;
+        };
+        resolve(db);
+      };
+      req.onerror = () => reject(req.error);
+    }).catch((err) => {
+      storeDBPromise = null;
+      throw err;
+    });
+  }
+  return storeDBPromise;
+};
+
+const indexedDBBackend = {
+  name: "indexedDB",
+  async load() {
+    const db = await openStoreDB();
+    return new Promise((resolve, reject) => {
+      const req = db.transaction(STORE_DB_OBJECT_STORE, "readonly").objectStore(STORE_DB_OBJECT_STORE).get(STORE_SNAPSHOT_KEY);
+      req.onsuccess = () => resolve(req.result || null);
+      req.onerror = () => reject(req.error);
+    });
+  },
+  async save(snapshot) {
+    const db = await openStoreDB();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_DB_OBJECT_STORE, "readwrite");
+      tx.objectStore(STORE_DB_OBJECT_STORE).put(snapshot, STORE_SNAPSHOT_KEY);
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+    });
+  },
+};
+
+const localStorageBackend = {
+  name: "localStorage",
+  async load() {
+    const raw = window.localStorage.getItem(STORE_LOCAL_KEY);
+    return raw ? JSON.parse(raw) : null;
+  },
+  async save(snapshot) {
+    window.localStorage.setItem(STORE_LOCAL_KEY, JSON.stringify(snapshot));
+  },
+};
+
+// IndexedDB when the browser allows it (private windows and file:// often don't), else localStorage.
+function createAppStore() {
+  let backendPromise = null;
+  const getBackend = () => {
+    if (!backendPromise) {
+      backendPromise = (async () => {
+        if (typeof window !== "undefined" && window.indexedDB) {
+          const available = await openStoreDB().then(
+            () => true,
+            () => false
+          );
+          if (available) return indexedDBBackend;
+        }
+        return localStorageBackend;
+      })();
+    }
+    return backendPromise;
+  };
+
+  return {
+    // Resolves to a migrated snapshot, or null when nothing has been saved yet.
+    async load() {
+      const backend = await getBackend();
+      const snapshot = await backend.load();
+      return snapshot ? migrateSnapshot(snapshot) : null;
+    },
+    async save(data) {
+      const backend = await getBackend();
+      await backend.save({ version: STORE_SCHEMA_VERSION, savedAt: new Date().toISOString(), data });
+    },
+  };
+}
+
+const appStore = createAppStore();
+
+// -------------------- BACKUP / RESTORE --------------------
+const BACKUP_FORMAT = "carescope-delegations-backup";
+const BACKUP_COLLECTIONS = [
+  ["communities", "Communities"],
+  ["residents", "Residents"],
+  ["medTechs", "Med-Techs"],
+  ["delegations", "Delegations"],
+  ["taskCatalog", "Task Catalog"],
+  ["formTemplates", "Form Templates"],
+];
+
+const countTranscriptEntries = (medTechs) =>
+  (medTechs || []).reduce((n, m) => n + (m.trainingTranscript?.length || 0), 0);
+
+function buildBackupFile(data) {
+  return {
+    format: BACKUP_FORMAT,
+    schemaVersion: STORE_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    description:
+      "CareScope360 RN Delegations backup. Training transcripts are stored on each med-tech (trainingTranscript); audit, signatures and personalObservations on each delegation.",
+    counts: {
+      ...Object.fromEntries(BACKUP_COLLECTIONS.map(([key]) => [key, (data[key] || []).length])),
+      trainingTranscriptEntries: countTranscriptEntries(data.medTechs),
+    },
+    data,
+  };
+}
+
+// Returns { data, errors, warnings }; data is null when the file cannot be restored.
+function parseBackupFile(text) {
+  const errors = [];
+  const warnings = [];
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (err) {
+    return { data: null, errors: [`Not valid JSON: ${err.message}`], warnings };
+  }
+  if (file?.format !== BACKUP_FORMAT) {
+    return { data: null, errors: ["This is not a CareScope delegations backup file."], warnings };
+  }
+
+  let data;
+  try {
+    data = migrateSnapshot({ version: file.schemaVersion, data: file.data }).data;
+  } catch (err) {
+    return { data: null, errors: [err.message], warnings };
+  }
+
+  BACKUP_COLLECTIONS.forEach(([key, label]) => {
+    const list = data[key];
+    if (!Array.isArray(list)) {
+      errors.push(`${label}: expected a list of records.`);
+      return;
+    }
+    const seen = new Set();
+    list.forEach((rec, i) => {
+      if (!rec || typeof rec !== "object" || typeof rec.id !== "string" || !rec.id) {
+        errors.push(`${label} #${i + 1}: missing id.`);
+      } else if (seen.has(rec.id)) {
+        errors.push(`${label}: duplicate id ${rec.id}.`);
+      } else {
+        seen.add(rec.id);
+      }
+    });
+  });
+  if (errors.length) return { data: null, errors, warnings };
+
+  // Signatures print from their strokes; markup or images stored as strings are whatever the file says they are.
+  data.delegations = data.delegations.map((d) =>
+    d.signatures
+      ? {
+          ...d,
+          signatures: Object.fromEntries(
+            Object.entries(d.signatures).map(([party, sig]) => [party, sig && sanitizeStoredSignature(sig)])
+          ),
+        }
+      : d
+  );
+
+  const residentIds = new Set(data.residents.map((r) => r.id));
+  const medTechIds = new Set(data.medTechs.map((m) => m.id));
+  data.delegations.forEach((d) => {
+    if (!residentIds.has(d.residentId)) warnings.push(`Delegation ${d.id} refers to a resident not in the file (${d.residentId}).`);
+    if (!medTechIds.has(d.medTechId)) warnings.push(`Delegation ${d.id} refers to a med-tech not in the file (${d.medTechId}).`);
+    if (!d.packetSnapshot && d.taskVersion != null && !getTaskVersion(data.taskCatalog, d.taskId, d.taskVersion)) {
+      warnings.push(`Delegation ${d.id} uses version ${d.taskVersion} of ${d.taskId}, which is not in the file's task catalog.`);
+    }
+  });
+
+  return { data, errors, warnings };
+}
+
+// Per collection: records new to this browser, records that would change, identical ones,
+// and records only in this browser (kept on merge, dropped on replace).
+function diffBackup(current, incoming) {
+  return BACKUP_COLLECTIONS.map(([key, label]) => {
+    const existing = new Map((current[key] || []).map((r) => [r.id, r]));
+    const incomingIds = new Set(incoming[key].map((r) => r.id));
+    let added = 0;
+    let updated = 0;
+    let unchanged = 0;
+    incoming[key].forEach((r) => {
+      if (!existing.has(r.id)) added += 1;
+      else if (JSON.stringify(existing.get(r.id)) !== JSON.stringify(r)) updated += 1;
+      else unchanged += 1;
+    });
+    const onlyLocal = [...existing.keys()].filter((id) => !incomingIds.has(id)).length;
+    return { key, label, inFile: incoming[key].length, added, updated, unchanged, onlyLocal };
+  });
+}
+
+// Merge keeps local-only records and lets the file win on id collisions.
+const mergeById = (current, incoming) => {
+  const incomingById = new Map(incoming.map((r) => [r.id, r]));
+  const currentIds = new Set(current.map((r) => r.id));
+  return [
+    ...current.map((r) => incomingById.get(r.id) || r),
+    ...incoming.filter((r) => !currentIds.has(r.id)),
+  ];
+};
+
+// Like mergeById, but a task's versions merge by version number so local versions newer than the file survive.
+const mergeTaskCatalog = (current, incoming) =>
+  mergeById(current, incoming).map((t) => {
+    const local = current.find((x) => x.id === t.id);
+    if (!local || local === t) return t;
+    const versions = new Map(local.versions.map((v) => [v.version, v]));
+    t.versions.forEach((v) => versions.set(v.version, v));
+    return { ...t, versions: [...versions.values()].sort((a, b) => a.version - b.version) };
+  });
+
+// -------------------- CSV --------------------
+// RFC 4180: quoted fields may contain commas, newlines and "" escapes.
+function parseCSV(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const src = (text || "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"' && src[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === ",") {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((r) => r.some((c) => c.trim() !== ""));
+}
+
+// Accepts YYYY-MM-DD or M/D/YYYY; returns ISO date or null.
+const normalizeDateInput = (value) => {
+  const s = (value || "").trim();
+  let y, m, d;
+  let match = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) [, y, m, d] = match;
+  else if ((match = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) [, m, d, y] = match;
+  else return null;
+  const iso = `${y}-${m.padStart(2, "0")}-${d.padStart(2, "0")}`;
+  const check = new Date(`${iso}T00:00:00Z`);
+  return !Number.isNaN(check.getTime()) && check.toISOString().startsWith(iso) ? iso : null;
+};
+
+const csvCell = (value) => {
+  const s = (value ?? "").toString();
+  return /[",\r\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+};
+
+const toCSV = (rows) => rows.map((r) => r.map(csvCell).join(",")).join("\r\n");
+
+// -------------------- ZIP / XLSX --------------------
+// Minimal "stored" (uncompressed) zip writer; enough for XLSX/DOCX containers and archives.
+const CRC32_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = CRC32_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+const toBytes = (data) => (typeof data === "string" ? new TextEncoder().encode(data) : data);
+
+// files: [{ name, data: string | Uint8Array }] -> Blob
+function createZip(files, date = new Date()) {
+  const dosTime = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+  const dosDate = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  const chunks = [];
+  const central = [];
+  let offset = 0;
+
+  files.forEach((f) => {
+    const name = new TextEncoder().encode(f.name);
+    const data = toBytes(f.data);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // UTF-8 names
+    local.setUint16(8, 0, true); // stored
+    local.setUint16(10, dosTime, true);
+    local.setUint16(12, dosDate, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    chunks.push(new Uint8Array(local.buffer), name, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, dosTime, true);
+    entry.setUint16(14, dosDate, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(new Uint8Array(entry.buffer), name);
+
+    offset += 30 + name.length + data.length;
+  });
+
+  const centralSize = central.reduce((n, c) => n + c.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...chunks, ...central, new Uint8Array(end.buffer)], { type: "application/zip" });
+}
+
+// Reads a zip (e.g. an uploaded .docx) into [{ name, data: Uint8Array }]. Handles stored and deflated entries.
+async function readZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let eocd = bytes.length - 22;
+  while (eocd >= 0 && view.getUint32(eocd, true) !== 0x06054b50) eocd -= 1;
+  if (eocd < 0) throw new Error("Not a zip file.");
+  const count = view.getUint16(eocd + 10, true);
+  let p = view.getUint32(eocd + 16, true);
+  const files = [];
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(p, true) !== 0x02014b50) throw new Error("Corrupt zip directory.");
+    const method = view.getUint16(p + 10, true);
+    const compressedSize = view.getUint32(p + 20, true);
+    const nameLength = view.getUint16(p + 28, true);
+    const extraLength = view.getUint16(p + 30, true);
+    const commentLength = view.getUint16(p + 32, true);
+    const localOffset = view.getUint32(p + 42, true);
+    const name = new TextDecoder().decode(bytes.subarray(p + 46, p + 46 + nameLength));
+    const start = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const raw = bytes.slice(start, start + compressedSize);
+    let data;
+    if (method === 0) data = raw;
+    else if (method === 8) {
+      const stream = new Blob([raw]).stream().pipeThrough(new DecompressionStream("deflate-raw"));
+      data = new Uint8Array(await new Response(stream).arrayBuffer());
+    } else throw new Error(`${name}: unsupported zip compression (${method}).`);
+    files.push({ name, data });
+    p += 46 + nameLength + extraLength + commentLength;
+  }
+  return files;
+}
+
+const bytesToBase64 = (bytes) => {
+  let bin = "";
+  for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  return btoa(bin);
+};
+const base64ToBytes = (b64) => Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+
+const escapeXml = (s) =>
+  (s ?? "")
+    .toString()
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "")
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+
+const xlsxColumnName = (idx) => {
+  let n = idx + 1;
+  let name = "";
+  while (n > 0) {
+    const r = (n - 1) % 26;
+    name = String.fromCharCode(65 + r) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+};
+
+// Single-sheet workbook; the first row is bold and frozen. Every cell is an inline string.
+function buildXlsx(sheetName, rows) {
+  const sheetRows = rows
+    .map(
+      (r, ri) =>
+        `<row r="${ri + 1}">${r
+          .map(
+            (v, ci) =>
+              `<c r="${xlsxColumnName(ci)}${ri + 1}" t="inlineStr"${ri === 0 ? ' s="1"' : ""}><is><t xml:space="preserve">${escapeXml(v)}</t></is></c>`
+          )
+          .join("")}</row>`
+    )
+    .join("");
+  const safeSheetName = escapeXml((sheetName || "Sheet1").replace(/[\\/?*[\]:]/g, " ").slice(0, 31));
+
+  return createZip([
+    {
+      name: "[Content_Types].xml",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>`,
+    },
+    {
+      name: "_rels/.rels",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+    },
+    {
+      name: "xl/workbook.xml",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets></workbook>`,
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/><Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>`,
+    },
+    {
+      name: "xl/styles.xml",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border/></borders><cellStyleXfs count="1"><xf/></cellStyleXfs><cellXfs count="2"><xf fontId="0" xfId="0"/><xf fontId="1" xfId="0" applyFont="1"/></cellXfs><cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles></styleSheet>`,
+    },
+    {
+      name: "xl/worksheets/sheet1.xml",
+      data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews><sheetData>${sheetRows}</sheetData></worksheet>`,
+    },
+  ]);
+}
+
+// -------------------- PDF --------------------
+// Minimal PDF writer: the standard Helvetica fonts, vector drawing and JPEG images, laid out top to
+// bottom on US Letter pages. Layout depends only on its input, so a record always produces the same pages.
+const PDF_PAGE = { width: 612, height: 792, margin: 54 };
+
+// Helvetica advance widths (1/1000 em) for ASCII 32-126, from the standard AFM files.
+const HELVETICA_WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556,
+    556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833,
+    722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556,
+    556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334,
+    260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556,
+    556, 556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833,
+    722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611,
+    556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389,
+    280, 389, 584,
+  ],
+};
+
+// WinAnsi code points for the punctuation that turns up in names and notes; other non-Latin-1 text prints as "?".
+const PDF_WIN_ANSI = { "—": 0x97, "–": 0x96, "‘": 0x91, "’": 0x92, "“": 0x93, "”": 0x94, "•": 0x95, "…": 0x85 };
+const PDF_WIN_ANSI_WIDTHS = { 0x97: 1000, 0x96: 556, 0x91: 222, 0x92: 222, 0x93: 333, 0x94: 333, 0x95: 350, 0x85: 1000 };
+
+const pdfEncodeText = (s) =>
+  Array.from((s ?? "").toString().replace(/\t/g, " "), (ch) => {
+    if (PDF_WIN_ANSI[ch]) return String.fromCharCode(PDF_WIN_ANSI[ch]);
+    const code = ch.charCodeAt(0);
+    return code >= 32 && code <= 255 && !(code >= 127 && code < 160) ? ch : "?";
+  }).join("");
+
+const pdfTextWidth = (encoded, size, bold) => {
+  const widths = bold ? HELVETICA_WIDTHS.bold : HELVETICA_WIDTHS.regular;
+  let w = 0;
+  for (let i = 0; i < encoded.length; i++) {
+    const code = encoded.charCodeAt(i);
+    w += code <= 126 ? widths[code - 32] : PDF_WIN_ANSI_WIDTHS[code] || 556;
+  }
+  return (w * size) / 1000;
+};
+
+// Greedy word wrap; words longer than a line are broken by character. Returns encoded lines.
+function pdfWrapText(text, width, size, bold, firstWidth = width) {
+  const lines = [];
+  pdfEncodeText(text)
+    .split(/\r?\n/)
+    .forEach((para) => {
+      let line = "";
+      const limit = () => (lines.length ? width : firstWidth);
+      para.split(" ").forEach((word) => {
+        const candidate = line ? `${line} ${word}` : word;
+        if (pdfTextWidth(candidate, size, bold) <= limit()) return (line = candidate);
+        if (line) lines.push(line);
+        line = "";
+        for (const ch of word) {
+          if (line && pdfTextWidth(line + ch, size, bold) > limit()) {
+            lines.push(line);
+            line = "";
+          }
+          line += ch;
+        }
+      });
+      lines.push(line);
+    });
+  return lines;
+}
+
+const pdfNum = (n) => String(Math.round(n * 100) / 100);
+const pdfString = (encoded) => `(${encoded.replace(/[\\()]/g, (c) => `\\${c}`)})`;
+const pdfColor = ([r, g, b]) => `${pdfNum(r)} ${pdfNum(g)} ${pdfNum(b)}`;
+const PDF_COLORS = { text: [0.07, 0.09, 0.15], muted: [0.42, 0.45, 0.5], rule: [0.6, 0.6, 0.6], border: [0.82, 0.84, 0.86], red: [0.73, 0.11, 0.11] };
+
+// Re-encodes a PNG/JPEG data URL as JPEG on a white background so it can be embedded with DCTDecode.
+const loadImageAsJpeg = (dataUrl) =>
+  new Promise((resolve) => {
+    const canvas = document.createElement("canvas");
+    const ctx = dataUrl && canvas.getContext?.("2d");
+    if (!ctx) return resolve(null);
+    const img = new Image();
+    img.onload = () => {
+      canvas.width = img.naturalWidth;
+      canvas.height = img.naturalHeight;
+      ctx.fillStyle = "#ffffff";
+      ctx.fillRect(0, 0, canvas.width, canvas.height);
+      ctx.drawImage(img, 0, 0);
+      const bin = atob(canvas.toDataURL("image/jpeg", 0.92).split(",")[1]);
+      resolve({ bytes: Uint8Array.from(bin, (c) => c.charCodeAt(0)), width: canvas.width, height: canvas.height });
+    };
+    img.onerror = () => resolve(null);
+    img.src = dataUrl;
+  });
+
+// Page-flowing layout. Each method draws at the cursor and moves it down, starting a new page when needed.
+// finish() adds the header (community and title, or the page's section) and footer (page X of Y) to every page.
+function createPdfLayout({ title, orgName }) {
+  const { width, height, margin } = PDF_PAGE;
+  const contentWidth = width - margin * 2;
+  const top = height - margin - 24;
+  const bottom = margin + 24;
+  const pages = [];
+  const pageSections = [];
+  const reserved = new Set();
+  const images = [];
+  let ops = null;
+  let y = top;
+  let section = "";
+
+  const newPage = () => {
+    ops = [];
+    pages.push(ops);
+    pageSections.push(section);
+    y = top;
+  };
+  const ensure = (h) => {
+    if (!ops || (y - h < bottom && y < top)) newPage();
+  };
+  const text = (encoded, x, baseline, { size = 10, bold = false, color = PDF_COLORS.text } = {}) =>
+    ops.push(`BT /${bold ? "F2" : "F1"} ${pdfNum(size)} Tf ${pdfColor(color)} rg ${pdfNum(x)} ${pdfNum(baseline)} Td ${pdfString(encoded)} Tj ET`);
+  const line = (x1, y1, x2, y2, color = PDF_COLORS.rule, w = 0.75) =>
+    ops.push(`${pdfColor(color)} RG ${pdfNum(w)} w ${pdfNum(x1)} ${pdfNum(y1)} m ${pdfNum(x2)} ${pdfNum(y2)} l S`);
+  const rect = (x, yTop, w, h, color = PDF_COLORS.border) =>
+    ops.push(`${pdfColor(color)} RG 0.75 w ${pdfNum(x)} ${pdfNum(yTop - h)} ${pdfNum(w)} ${pdfNum(h)} re S`);
+  const checkbox = (x, yTop, checked, s = 8) => {
+    rect(x, yTop, s, s, PDF_COLORS.text);
+    if (checked) {
+      ops.push(
+        `${pdfColor(PDF_COLORS.text)} RG 1.2 w 1 J ${pdfNum(x + s * 0.2)} ${pdfNum(yTop - s * 0.55)} m ${pdfNum(x + s * 0.42)} ${pdfNum(yTop - s * 0.8)} l ${pdfNum(x + s * 0.85)} ${pdfNum(yTop - s * 0.2)} l S 0 J`
+      );
+    }
+  };
+
+  const layout = {
+    contentWidth,
+    // Starts `label` on a fresh page and returns that page's number.
+    startSection(label) {
+      section = label;
+      if (!ops || ops.length || reserved.has(pages.length - 1)) newPage();
+      else pageSections[pages.length - 1] = label;
+      return pages.length;
+    },
+    // Blank pages to draw into later with onPage, e.g. a table of contents that needs the final page numbers.
+    reservePages(count, label = "") {
+      section = label;
+      return Array.from({ length: count }, () => {
+        newPage();
+        reserved.add(pages.length - 1);
+        return pages.length - 1;
+      });
+    },
+    onPage(index, draw) {
+      const saved = { ops, y };
+      ops = pages[index];
+      y = top;
+      draw();
+      ({ ops, y } = saved);
+    },
+    // Rows a reserved page holds below a heading, at the contents-row height.
+    rowsPerPage: Math.floor((top - bottom - 60) / 14),
+    contentsRow(str, page, { bold = false, indent = 0 } = {}) {
+      const size = 10;
+      const num = pdfEncodeText(String(page));
+      const numWidth = pdfTextWidth(num, size, bold);
+      const [label] = pdfWrapText(str, contentWidth - indent - numWidth - 24, size, bold);
+      ensure(14);
+      y -= 14;
+      text(label, margin + indent, y + 3, { size, bold });
+      const leaderFrom = margin + indent + pdfTextWidth(label, size, bold) + 4;
+      const leaderTo = width - margin - numWidth - 4;
+      if (leaderTo > leaderFrom) ops.push(`${pdfColor(PDF_COLORS.border)} RG 0.75 w [1 2] 0 d ${pdfNum(leaderFrom)} ${pdfNum(y + 3)} m ${pdfNum(leaderTo)} ${pdfNum(y + 3)} l S [] 0 d`);
+      text(num, width - margin - numWidth, y + 3, { size, bold });
+    },
+    space(h = 6) {
+      ensure(0);
+      y -= h;
+    },
+    heading(str, size = 13) {
+      ensure(size + 28);
+      y -= 10;
+      pdfWrapText(str, contentWidth, size, true).forEach((l) => {
+        y -= size * 1.2;
+        text(l, margin, y + size * 0.25, { size, bold: true });
+      });
+      y -= 4;
+    },
+    paragraph(str, { size = 10, bold = false, color, indent = 0 } = {}) {
+      const lh = size * 1.35;
+      pdfWrapText(str, contentWidth - indent, size, bold).forEach((l) => {
+        ensure(lh);
+        y -= lh;
+        text(l, margin + indent, y + size * 0.3, { size, bold, color });
+      });
+    },
+    // "Label: value" with the label in bold and the value wrapping beneath it.
+    field(label, value, { size = 10, indent = 0 } = {}) {
+      const lh = size * 1.35;
+      const lbl = pdfEncodeText(`${label}: `);
+      const lblWidth = pdfTextWidth(lbl, size, true);
+      const lines = pdfWrapText(value || "—", contentWidth - indent, size, false, contentWidth - indent - lblWidth);
+      lines.forEach((l, i) => {
+        ensure(lh);
+        y -= lh;
+        if (i === 0) text(lbl, margin + indent, y + size * 0.3, { size, bold: true });
+        text(l, margin + indent + (i === 0 ? lblWidth : 0), y + size * 0.3, { size });
+      });
+    },
+    list(items, { size = 10, indent = 0 } = {}) {
+      const lh = size * 1.35;
+      (items || []).forEach((item) => {
+        pdfWrapText(item, contentWidth - indent - 14, size, false).forEach((l, i) => {
+          ensure(lh);
+          y -= lh;
+          if (i === 0) text(pdfEncodeText("•"), margin + indent + 3, y + size * 0.3, { size });
+          text(l, margin + indent + 14, y + size * 0.3, { size });
+        });
+      });
+    },
+    // items: [{ text, checked }]
+    checklist(items, { size = 9, indent = 0 } = {}) {
+      const lh = size * 1.4;
+      items.forEach((item) => {
+        pdfWrapText(item.text, contentWidth - indent - 16, size, false).forEach((l, i) => {
+          ensure(lh);
+          y -= lh;
+          if (i === 0) checkbox(margin + indent, y + size * 0.95, item.checked);
+          text(l, margin + indent + 16, y + size * 0.3, { size });
+        });
+      });
+    },
+    banner(str, color = PDF_COLORS.red) {
+      const size = 10;
+      const lines = pdfWrapText(str, contentWidth - 16, size, true);
+      const h = lines.length * size * 1.35 + 12;
+      ensure(h + 6);
+      y -= 6;
+      rect(margin, y, contentWidth, h, color);
+      lines.forEach((l, i) => text(l, margin + 8, y - 6 - (i + 1) * size * 1.35 + size * 0.3, { size, bold: true, color }));
+      y -= h;
+    },
+    // Cells are a string or a list of { text, bold?, bullet? } lines; long rows continue on the next page.
+    table(headers, rows, colWidths) {
+      const size = 9;
+      const lh = size * 1.35;
+      const pad = 5;
+      const widths = colWidths || headers.map(() => contentWidth / headers.length);
+      const xs = widths.map((_, i) => margin + widths.slice(0, i).reduce((a, b) => a + b, 0));
+      const cellLines = (cell, w, bold) =>
+        (typeof cell === "string" ? [{ text: cell, bold }] : cell).flatMap((part) =>
+          pdfWrapText(part.text, w - pad * 2 - (part.bullet ? 10 : 0), size, !!part.bold).map((l, i) => ({
+            text: l,
+            bold: !!part.bold,
+            bullet: part.bullet && i === 0,
+            indent: part.bullet ? 10 : 0,
+          }))
+        );
+      const drawRow = (cells, bold) => {
+        const lines = cells.map((c, i) => cellLines(c, widths[i], bold));
+        const count = Math.max(1, ...lines.map((l) => l.length));
+        let segTop = null;
+        const close = () => widths.forEach((w, i) => rect(xs[i], segTop, w, segTop - y));
+        for (let n = 0; n < count; n++) {
+          if (segTop !== null && y - lh - pad < bottom) {
+            y -= pad;
+            close();
+            newPage();
+            if (!bold) drawRow(headers, true);
+            segTop = null;
+          }
+          if (segTop === null) {
+            ensure(lh + pad * 2);
+            segTop = y;
+            y -= pad;
+          }
+          y -= lh;
+          lines.forEach((cell, i) => {
+            const l = cell[n];
+            if (!l) return;
+            if (l.bullet) text(pdfEncodeText("•"), xs[i] + pad, y + size * 0.3, { size });
+            text(l.text, xs[i] + pad + l.indent, y + size * 0.3, { size, bold: l.bold });
+          });
+        }
+        y -= pad;
+        close();
+      };
+      ensure(lh * 3 + pad * 4);
+      y -= 4;
+      drawRow(headers, true);
+      rows.forEach((r) => drawRow(r, false));
+    },
+    // Draws vector strokes (preferred) or an embedded JPEG into a signature line of the given height.
+    signature({ strokes, jpeg }, { h = 50, w = 240 } = {}) {
+      ensure(h + 4);
+      const boxTop = y;
+      if (strokes?.strokes?.length) {
+        const scale = Math.min(w / strokes.width, h / strokes.height);
+        const px = (pt) => margin + pt.x * scale;
+        const py = (pt) => boxTop - pt.y * scale;
+        ops.push(`${pdfColor(PDF_COLORS.text)} RG 1 J 1 j`);
+        strokes.strokes.forEach((s) => {
+          const pts = s.points;
+          if (!pts.length) return;
+          const path = [`${pdfNum(px(pts[0]))} ${pdfNum(py(pts[0]))} m`];
+          // Same midpoint smoothing as signatureStrokePath, with each quadratic raised to a cubic.
+          let cur = pts[0];
+          for (let i = 1; i < pts.length - 1; i++) {
+            const c = pts[i];
+            const end = { x: (pts[i].x + pts[i + 1].x) / 2, y: (pts[i].y + pts[i + 1].y) / 2 };
+            const c1 = { x: cur.x + (2 / 3) * (c.x - cur.x), y: cur.y + (2 / 3) * (c.y - cur.y) };
+            const c2 = { x: end.x + (2 / 3) * (c.x - end.x), y: end.y + (2 / 3) * (c.y - end.y) };
+            path.push(`${pdfNum(px(c1))} ${pdfNum(py(c1))} ${pdfNum(px(c2))} ${pdfNum(py(c2))} ${pdfNum(px(end))} ${pdfNum(py(end))} c`);
+            cur = end;
+          }
+          const last = pts[pts.length - 1];
+          path.push(`${pdfNum(px(last) + (pts.length === 1 ? 0.1 : 0))} ${pdfNum(py(last))} l`);
+          ops.push(`${pdfNum(signatureStrokeWidth(s) * scale)} w ${path.join(" ")} S`);
+        });
+        ops.push("0 J 0 j");
+      } else if (jpeg) {
+        images.push(jpeg);
+        const scale = Math.min(w / jpeg.width, h / jpeg.height);
+        ops.push(`q ${pdfNum(jpeg.width * scale)} 0 0 ${pdfNum(jpeg.height * scale)} ${pdfNum(margin)} ${pdfNum(boxTop - h)} cm /Im${images.length} Do Q`);
+      }
+      y -= h + 2;
+      line(margin, y, margin + w, y);
+      y -= 2;
+    },
+    finish() {
+      if (!pages.length) newPage();
+      const header = pdfEncodeText(orgName || "CareScope");
+      const docTitle = pdfEncodeText(title);
+      pages.forEach((p, i) => {
+        ops = p;
+        text(header, margin, height - margin, { size: 9, bold: true, color: PDF_COLORS.muted });
+        const pageTitle = pageSections[i] ? pdfEncodeText(pageSections[i]) : docTitle;
+        text(pageTitle, width - margin - pdfTextWidth(pageTitle, 9, false), height - margin, { size: 9, color: PDF_COLORS.muted });
+        line(margin, height - margin - 6, width - margin, height - margin - 6, PDF_COLORS.border);
+        line(margin, margin + 12, width - margin, margin + 12, PDF_COLORS.border);
+        const footer = pdfEncodeText(`${orgName || "CareScope"} — ${title}`);
+        const pageNo = pdfEncodeText(`Page ${i + 1} of ${pages.length}`);
+        text(footer, margin, margin, { size: 8, color: PDF_COLORS.muted });
+        text(pageNo, width - margin - pdfTextWidth(pageNo, 8, false), margin, { size: 8, color: PDF_COLORS.muted });
+      });
+      return buildPdfFile({ title, pages, images });
+    },
+  };
+  return layout;
+}
+
+// Serializes pages of content-stream operators (and any JPEGs they reference) into a PDF Blob.
+function buildPdfFile({ title, pages, images }) {
+  const latin1 = (s) => Uint8Array.from(s, (c) => c.charCodeAt(0));
+  const objects = [];
+  const add = (body) => objects.push(body);
+
+  add(""); // 1: catalog, filled in below
+  add(""); // 2: page tree
+  const fontRegular = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>");
+  const fontBold = add("<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>");
+  const imageRefs = images.map((img) =>
+    add([
+      latin1(
+        `<< /Type /XObject /Subtype /Image /Width ${img.width} /Height ${img.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${img.bytes.length} >>\nstream\n`
+      ),
+      img.bytes,
+      latin1("\nendstream"),
+    ])
+  );
+  const xobjects = imageRefs.length ? ` /XObject << ${imageRefs.map((ref, i) => `/Im${i + 1} ${ref} 0 R`).join(" ")} >>` : "";
+  const pageRefs = pages.map((p) => {
+    const stream = p.join("\n");
+    const content = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    return add(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PDF_PAGE.width} ${PDF_PAGE.height}] /Resources << /Font << /F1 ${fontRegular} 0 R /F2 ${fontBold} 0 R >>${xobjects} >> /Contents ${content} 0 R >>`
+    );
+  });
+  objects[0] = "<< /Type /Catalog /Pages 2 0 R >>";
+  objects[1] = `<< /Type /Pages /Kids [${pageRefs.map((r) => `${r} 0 R`).join(" ")}] /Count ${pageRefs.length} >>`;
+  const info = add(`<< /Title ${pdfString(pdfEncodeText(title))} /Producer (CareScope) >>`);
+
+  const chunks = [latin1("%PDF-1.4\n%âãÏÓ\n")];
+  let offset = chunks[0].length;
+  const offsets = objects.map((body, i) => {
+    const parts = [latin1(`${i + 1} 0 obj\n`), ...(Array.isArray(body) ? body : [latin1(body)]), latin1("\nendobj\n")];
+    const at = offset;
+    parts.forEach((part) => {
+      chunks.push(part);
+      offset += part.length;
+    });
+    return at;
+  });
+  chunks.push(
+    latin1(
+      `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets
+        .map((o) => `${String(o).padStart(10, "0")} 00000 n \n`)
+        .join("")}trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${info} 0 R >>\nstartxref\n${offset}\n%%EOF\n`
+    )
+  );
+  return new Blob(chunks, { type: "application/pdf" });
+}
+
+// -------------------- WORD FORMS --------------------
+// Admins register the official .docx for each task's formTemplate name. Templates mark fields with
+// {{placeholders}} in the body, headers or footers; filling one returns a new .docx with the values in place.
+const DOCX_MIME = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+const FORM_TEMPLATE_FIELDS = [
+  ["community.name", "Community name"],
+  ["resident.name", "Resident name"],
+  ["resident.dob", "Resident date of birth"],
+  ["resident.regimen", "Resident regimen"],
+  ["medTech.name", "Med-tech name"],
+  ["task.label", "Task name"],
+  ["task.version", "Task content version"],
+  ["delegation.startDate", "Authorization start date"],
+  ["delegation.endDate", "Authorization end date"],
+  ["delegation.authDays", "Authorized days"],
+  ["checklist.stable", "Resident stable and predictable (YES/NO)"],
+  ["checklist.safeEnvironment", "Safe environment (YES/NO)"],
+  ["checklist.uapWilling", "Med-tech willing (YES/NO)"],
+  ["competency.methods", "Competency methods used"],
+  ["justification.<question key>", "Answer to one justification question, e.g. justification.willingnessDescription"],
+  ["justification.all", "Every justification question with its answer"],
+  ["justification.statement", "RN delegation statement"],
+  ["packet.steps", "Procedure steps"],
+  ["packet.residentSteps", "Resident-specific steps"],
+  ["packet.parameters", "Resident parameters / thresholds"],
+  ["packet.watchFor", "Watch for"],
+  ["packet.actionIfOccurs", "Action if occurs"],
+  ["packet.notifications", "Notification instructions"],
+  ["rn.name", "RN signer's name"],
+  ["rn.signature", "RN drawn signature (typed name if signed by typing)"],
+  ["rn.signedDate", "Date the RN signed"],
+  ["rn.attestations", "RN attestations"],
+  ["mt.name", "Med-tech signer's name"],
+  ["mt.signature", "Med-tech drawn signature (typed name if signed by typing)"],
+  ["mt.signedDate", "Date the med-tech signed"],
+  ["mt.attestations", "Med-tech attestations"],
+  ["generatedDate", "Date the form was generated"],
+];
+
+const isKnownFormField = (key) =>
+  key.startsWith("justification.") || FORM_TEMPLATE_FIELDS.some(([k]) => k === key);
+
+const FORM_PLACEHOLDER_RE = /\{\{\s*([\w.]+)\s*\}\}/g;
+const DOCX_TEXT_PARTS = /^word\/(document|header\d*|footer\d*)\.xml$/;
+const DOCX_TEXT_RUN_RE = /<w:t(?:\s[^>]*)?>([^<]*)<\/w:t>/g;
+
+const pngSize = (bytes) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  return { width: view.getUint32(16), height: view.getUint32(20) };
+};
+
+// Values for every placeholder, from the same arguments the printed packet uses (getPacketArgs).
+// Signatures are { image } when drawn and a PNG was kept, otherwise the typed name.
+function getFormTemplateValues(args) {
+  const { orgName, delegation, resident, medTech, task, packet, rnSig, mtSig } = args;
+  const content = getPacketPrintContent(args);
+  const lines = (items) => (items || []).map((s) => `• ${s}`).join("\n");
+  const yesNo = (v) => (v ? "YES" : "NO");
+  const [stable, safeEnvironment, uapWilling] = content.checklist.map(([, v]) => yesNo(v));
+  const party = (sig, key) => {
+    // Drawn signatures saved before the method was recorded still carry their PNG.
+    const png = isPngDataUrl(sig?.signatureImage)
+      ? sig.signatureImage
+      : hasSignatureStrokes(sig?.signatureStrokes)
+      ? signatureToPNG(sig.signatureStrokes)
+      : "";
+    const image = isPngDataUrl(png) ? base64ToBytes(png.split(",")[1]) : null;
+    const attested = getPrintedAttestations(sig, key);
+    return {
+      [`${key}.name`]: sig?.typedName || "",
+      [`${key}.signature`]: image ? { image, key, ...pngSize(image) } : sig?.typedName || "",
+      [`${key}.signedDate`]: sig?.signedAt ? formatDate(sig.signedAt) : "",
+      [`${key}.attestations`]: attested ? attested.map((a) => `${a.checked ? "☑" : "☐"} ${a.text}`).join("\n") : "",
+    };
+  };
+  return {
+    "community.name": orgName || "",
+    "resident.name": resident?.name || "",
+    "resident.dob": resident?.dob || "",
+    "resident.regimen": resident?.regimen || "",
+    "medTech.name": medTech?.name || "",
+    "task.label": task?.label || "",
+    "task.version": String(task?.version || ""),
+    "delegation.startDate": formatDate(delegation?.startDate),
+    "delegation.endDate": formatDate(delegation?.endDate),
+    "delegation.authDays": String(delegation?.authDays ?? ""),
+    "checklist.stable": stable,
+    "checklist.safeEnvironment": safeEnvironment,
+    "checklist.uapWilling": uapWilling,
+    "competency.methods": content.competency.filter(([, v]) => v).map(([label]) => label).join(", "),
+    ...Object.fromEntries(getJustificationQuestions(task).map((q, i) => [`justification.${q.key}`, content.answers[i].answer])),
+    "justification.all": content.answers.map((a) => `${a.label}: ${a.answer || "—"}`).join("\n"),
+    "justification.statement": content.statement,
+    "packet.steps": lines(packet?.steps),
+    "packet.residentSteps": lines(packet?.residentSteps),
+    "packet.parameters": lines(packet?.parameters),
+    "packet.watchFor": lines(packet?.watchFor),
+    "packet.actionIfOccurs": lines(packet?.actionIfOccurs),
+    "packet.notifications": lines(packet?.notifications),
+    ...party(rnSig, "rn"),
+    ...party(mtSig, "mt"),
+    generatedDate: formatDate(todayISO()),
+  };
+}
+
+// Word splits text into runs wherever formatting or spell-check changes, so a placeholder can span several
+// <w:t> elements. Matches run over their joined text; the first element of a match takes the rendered value
+// and the rest of the match is cut from the elements it spans. render(key) returns run XML, or null to keep it.
+function replaceDocxPlaceholders(xml, render) {
+  const nodes = [...xml.matchAll(DOCX_TEXT_RUN_RE)].map((m) => ({ index: m.index, length: m[0].length, text: m[1] }));
+  const joined = nodes.map((n) => n.text).join("");
+  const matches = [...joined.matchAll(FORM_PLACEHOLDER_RE)]
+    .map((m) => ({ start: m.index, end: m.index + m[0].length, xml: render(m[1]) }))
+    .filter((m) => m.xml !== null);
+  if (!matches.length) return xml;
+
+  let out = "";
+  let cursor = 0;
+  let offset = 0;
+  nodes.forEach((n) => {
+    const from = offset;
+    offset += n.text.length;
+    const hits = matches.filter((m) => m.start < offset && m.end > from);
+    if (!hits.length) return;
+    let text = "";
+    for (let i = 0; i < n.text.length; i++) {
+      const pos = from + i;
+      const hit = hits.find((m) => pos >= m.start && pos < m.end);
+      if (!hit) text += n.text[i];
+      else if (pos === hit.start) text += hit.xml;
+    }
+    out += `${xml.slice(cursor, n.index)}<w:t xml:space="preserve">${text}</w:t>`;
+    cursor = n.index + n.length;
+  });
+  return out + xml.slice(cursor);
+}
+
+const docxTextXml = (value) => escapeXml(value).split("\n").join('</w:t><w:br/><w:t xml:space="preserve">');
+
+const docxImageXml = (relId, docPrId, { width, height }) => {
+  const cx = 1645920; // 1.8 inches
+  const cy = Math.round((cx * height) / (width || 1));
+  return `</w:t></w:r><w:r><w:drawing><wp:inline xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing" distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${cx}" cy="${cy}"/><wp:docPr id="${docPrId}" name="Signature ${docPrId}"/><a:graphic xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:pic xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:nvPicPr><pic:cNvPr id="0" name="signature.png"/><pic:cNvPicPr/></pic:nvPicPr><pic:blipFill><a:blip xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" r:embed="${relId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill><pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr></pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r><w:r><w:t xml:space="preserve">`;
+};
+
+const readDocxParts = async (bytes) => {
+  const files = await readZip(bytes);
+  if (!files.some((f) => f.name === "word/document.xml")) throw new Error("No word/document.xml inside.");
+  return files;
+};
+
+// Placeholder keys a template uses, in order of first appearance.
+async function findTemplatePlaceholders(bytes) {
+  const keys = new Set();
+  (await readDocxParts(bytes))
+    .filter((f) => DOCX_TEXT_PARTS.test(f.name))
+    .forEach((f) => {
+      const text = [...new TextDecoder().decode(f.data).matchAll(DOCX_TEXT_RUN_RE)].map((m) => m[1]).join("");
+      for (const m of text.matchAll(FORM_PLACEHOLDER_RE)) keys.add(m[1]);
+    });
+  return [...keys];
+}
+
+// Unknown placeholders are left as written so a mistyped field shows up in the generated form.
+// Signature images are only embedded in the document body; headers and footers get the typed name.
+async function fillDocxTemplate(templateBytes, values) {
+  const files = await readDocxParts(templateBytes);
+  const images = new Map();
+  let drawings = 0;
+  const filled = files.map((f) => {
+    if (!DOCX_TEXT_PARTS.test(f.name)) return f;
+    const inBody = f.name === "word/document.xml";
+    const xml = replaceDocxPlaceholders(new TextDecoder().decode(f.data), (key) => {
+      if (!(key in values)) return null;
+      const v = values[key];
+      if (typeof v === "string") return docxTextXml(v);
+      if (!inBody) return docxTextXml(values[`${v.key}.name`]);
+      if (!images.has(v.key)) images.set(v.key, { ...v, relId: `rIdCareScopeSig${v.key}` });
+      drawings += 1;
+      return docxImageXml(images.get(v.key).relId, 9000 + drawings, v);
+    });
+    return { name: f.name, data: xml };
+  });
+
+  if (images.size) {
+    const relsName = "word/_rels/document.xml.rels";
+    const rels = filled.find((f) => f.name === relsName);
+    const relsXml = rels
+      ? new TextDecoder().decode(rels.data)
+      : '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"></Relationships>';
+    const added = [...images.values()]
+      .map((img) => `<Relationship Id="${img.relId}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="media/carescope-signature-${img.key}.png"/>`)
+      .join("");
+    const nextRels = { name: relsName, data: relsXml.replace("</Relationships>", `${added}</Relationships>`) };
+    if (rels) filled.splice(filled.indexOf(rels), 1, nextRels);
+    else filled.push(nextRels);
+    images.forEach((img) => filled.push({ name: `word/media/carescope-signature-${img.key}.png`, data: img.image }));
+
+    const types = filled.find((f) => f.name === "[Content_Types].xml");
+    const typesXml = new TextDecoder().decode(types.data);
+    if (!/Extension="png"/i.test(typesXml)) {
+      filled.splice(filled.indexOf(types), 1, {
+        name: types.name,
+        data: typesXml.replace("</Types>", '<Default Extension="png" ContentType="image/png"/></Types>'),
+      });
+    }
+  }
+  return new Blob([createZip(filled)], { type: DOCX_MIME });
+}
+
+// -------------------- DELEGATION EXPORT --------------------
+const DELEGATION_EXPORT_HEADERS = [
+  "Resident",
+  "Resident DOB",
+  "Med-Tech",
+  "Community",
+  "Task",
+  "Task Version",
+  "Start Date",
+  "End Date",
+  "Status",
+  "Signatures",
+  "RN Signed",
+  "Med-Tech Signed",
+  "Supervision Due",
+  "Rescind Date",
+  "Rescind Reason",
+];
+
+// Rows (header first) for a spreadsheet of delegations; dates stay ISO so spreadsheets sort them.
+function buildDelegationExportRows({ delegations, residents, medTechs, communities, taskCatalog }) {
+  return [
+    DELEGATION_EXPORT_HEADERS,
+    ...delegations.map((d) => {
+      const r = residents.find((x) => x.id === d.residentId);
+      const m = medTechs.find((x) => x.id === d.medTechId);
+      const c = communities.find((x) => x.id === r?.communityId);
+      const t = getTaskVersion(taskCatalog, d.taskId, d.taskVersion);
+      return [
+        r?.name || "",
+        r?.dob || "",
+        m?.name || "",
+        c?.name || "",
+        t?.label || d.taskId,
+        t ? t.version : "",
+        d.startDate || "",
+        d.endDate || "",
+        getDelegationDisplayStatus(d),
+        getSignatureState(d),
+        (d.signatures?.rn?.signedAt || "").slice(0, 10),
+        (d.signatures?.mt?.signedAt || "").slice(0, 10),
+        getSupervisionDue(d).dueDate || "",
+        d.rescindDate || "",
+        d.rescindReason || "",
+      ];
+    }),
+  ];
+}
+
+const fileSafeName = (s) => (s || "").toString().trim().replace(/[^A-Za-z0-9-]+/g, "_").replace(/^_+|_+$/g, "");
+
+// -------------------- ROSTER IMPORT --------------------
+const normalizeHeader = (h) => (h || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+const normalizePersonName = (n) => (n || "").trim().replace(/\s+/g, " ").toLowerCase();
+
+const RESIDENT_IMPORT_FIELDS = [
+  { key: "name", label: "Name", required: true, aliases: ["residentname", "fullname", "resident"] },
+  { key: "dob", label: "Date of Birth", required: true, aliases: ["dateofbirth", "birthdate", "birthday"] },
+  { key: "unit", label: "Unit", aliases: ["room", "apartment", "apt", "roomnumber"] },
+  { key: "diagnosis", label: "Diagnosis", aliases: ["dx", "diagnoses"] },
+  { key: "regimen", label: "Regimen", aliases: ["medications", "meds", "insulinregimen"] },
+  { key: "community", label: "Community", aliases: ["communityname", "building", "facility"] },
+];
+
+// Maps each field to the index of the first header matching its key, label or an alias.
+function guessColumnMapping(headers, fields) {
+  const normalized = headers.map(normalizeHeader);
+  return Object.fromEntries(
+    fields.map((f) => {
+      const candidates = [f.key, f.label, ...(f.aliases || [])].map(normalizeHeader);
+      const idx = normalized.findIndex((h) => candidates.includes(h));
+      return [f.key, idx];
+    })
+  );
+}
+
+const readMappedRow = (row, mapping) =>
+  Object.fromEntries(
+    Object.entries(mapping).map(([key, idx]) => [key, idx >= 0 ? (row[idx] ?? "").trim() : ""])
+  );
+
+const findCommunityByName = (communities, value) => {
+  const v = (value || "").trim().toLowerCase();
+  return communities.find((c) => c.name.trim().toLowerCase() === v || c.id.toLowerCase() === v) || null;
+};
+
+// Dry run: one entry per data row with the resident that would be created, its errors,
+// and whether it duplicates (name + DOB) an existing resident or an earlier row in the file.
+function buildResidentImportPreview({ rows, mapping, residents, communities, defaultCommunityId }) {
+  const existingKeys = new Set(residents.map((r) => `${normalizePersonName(r.name)}|${r.dob}`));
+  const fileKeys = new Map();
+
+  return rows.map((row, i) => {
+    const v = readMappedRow(row, mapping);
+    const errors = [];
+    if (!v.name) errors.push("Name is required");
+    const dob = normalizeDateInput(v.dob);
+    if (!v.dob) errors.push("Date of birth is required");
+    else if (!dob) errors.push(`Unrecognized date of birth "${v.dob}" (use YYYY-MM-DD or MM/DD/YYYY)`);
+
+    let communityId = defaultCommunityId;
+    if (v.community) {
+      const c = findCommunityByName(communities, v.community);
+      if (c) communityId = c.id;
+      else errors.push(`Unknown community "${v.community}"`);
+    }
+
+    let duplicate = null;
+    const key = `${normalizePersonName(v.name)}|${dob}`;
+    if (v.name && dob) {
+      if (existingKeys.has(key)) duplicate = "Already on roster";
+      else if (fileKeys.has(key)) duplicate = `Same as line ${fileKeys.get(key)}`;
+      else if (!errors.length) fileKeys.set(key, i + 2);
+    }
+
+    return {
+      line: i + 2, // header is line 1
+      errors,
+      duplicate,
+      record: {
+        communityId,
+        name: v.name.trim().replace(/\s+/g, " "),
+        dob: dob || v.dob,
+        unit: v.unit,
+        diagnosis: v.diagnosis,
+        regimen: v.regimen,
+      },
+    };
+  });
+}
+
+const MEDTECH_IMPORT_FIELDS = [
+  { key: "name", label: "Name", required: true, aliases: ["employeename", "fullname", "medtech", "staffname"] },
+  { key: "community", label: "Community", aliases: ["communityname", "building", "facility", "location"] },
+  { key: "hireDate", label: "Hire Date", aliases: ["hired", "startdate", "dateofhire"] },
+  { key: "competencyDemonstrated", label: "Competency Demonstrated", aliases: ["demonstrated", "competencydate"] },
+  { key: "competencyRedemonstrated", label: "Competency Re-demonstrated", aliases: ["redemonstrated"] },
+  { key: "willingness", label: "Willing (Y/N)", aliases: ["willing"] },
+  { key: "experience", label: "Experience" },
+  { key: "training", label: "Training" },
+  { key: "rnWorkedWithEmployeeLength", label: "Profile: RN Worked With Employee", aliases: ["rnworkedwith"] },
+  { key: "insulinExperienceCommunity", label: "Profile: Insulin Exp. (Community)", aliases: ["insulinexperiencecommunity"] },
+  { key: "insulinExperienceCareer", label: "Profile: Insulin Exp. (Career)", aliases: ["insulinexperiencecareer"] },
+  { key: "willingnessDescription", label: "Profile: Willingness Description", aliases: ["willingnessdescription"] },
+  { key: "transcriptDate", label: "Transcript: Date", aliases: ["trainingdate", "coursedate"] },
+  { key: "transcriptTopic", label: "Transcript: Topic", aliases: ["trainingtopic", "course", "coursename"] },
+  { key: "transcriptNotes", label: "Transcript: Notes", aliases: ["trainingnotes", "coursenotes"] },
+];
+
+const parseYesNo = (value) => {
+  const v = (value || "").trim().toLowerCase();
+  if (!v) return { value: null };
+  if (["y", "yes", "true", "1", "willing"].includes(v)) return { value: true };
+  if (["n", "no", "false", "0", "not willing"].includes(v)) return { value: false };
+  return { error: `Unrecognized yes/no value "${value}"` };
+};
+
+// HR exports repeat the employee on every training row, so rows sharing name + community
+// collapse into one med-tech; each row with a transcript topic adds one transcript entry.
+function buildMedTechImportPreview({ rows, mapping, medTechs, communities, defaultCommunityId }) {
+  const existingKeys = new Set(medTechs.map((m) => `${normalizePersonName(m.name)}|${m.communityId}`));
+  const groups = new Map();
+
+  rows.forEach((row, i) => {
+    const line = i + 2;
+    const v = readMappedRow(row, mapping);
+    const rowErrors = [];
+    if (!v.name) rowErrors.push(`Line ${line}: Name is required`);
+
+    let communityId = defaultCommunityId;
+    if (v.community) {
+      const c = findCommunityByName(communities, v.community);
+      if (c) communityId = c.id;
+      else rowErrors.push(`Line ${line}: Unknown community "${v.community}"`);
+    }
+
+    const dateField = (label, raw) => {
+      if (!raw) return "";
+      const iso = normalizeDateInput(raw);
+      if (!iso) rowErrors.push(`Line ${line}: Unrecognized ${label} "${raw}"`);
+      return iso || "";
+    };
+    const hireDate = dateField("hire date", v.hireDate);
+    const demonstrated = dateField("competency date", v.competencyDemonstrated);
+    const redemonstrated = dateField("re-demonstration date", v.competencyRedemonstrated);
+    const willing = parseYesNo(v.willingness);
+    if (willing.error) rowErrors.push(`Line ${line}: ${willing.error}`);
+
+    let transcript = null;
+    if (v.transcriptTopic || v.transcriptDate || v.transcriptNotes) {
+      const date = dateField("transcript date", v.transcriptDate);
+      if (!v.transcriptTopic) rowErrors.push(`Line ${line}: Transcript entry needs a topic`);
+      if (!v.transcriptDate) rowErrors.push(`Line ${line}: Transcript entry needs a date`);
+      transcript = { date, topic: v.transcriptTopic, notes: v.transcriptNotes };
+    }
+
+    const key = `${normalizePersonName(v.name)}|${communityId}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        lines: [],
+        errors: [],
+        warnings: [],
+        duplicate: v.name && existingKeys.has(key) ? "Already on roster" : null,
+        record: {
+          communityId,
+          name: v.name.trim().replace(/\s+/g, " "),
+          hireDate: "",
+          experience: "",
+          training: "",
+          competencyDates: { demonstrated: "", redemonstrated: "" },
+          willingness: null,
+          lastSupervision: "",
+          trainingTranscript: [],
+          delegationProfile: {
+            rnWorkedWithEmployeeLength: "",
+            insulinExperienceCommunity: "",
+            insulinExperienceCareer: "",
+            willingnessDescription: "",
+          },
+        },
+      });
+    }
+    const g = groups.get(key);
+    const rec = g.record;
+    g.lines.push(line);
+    g.errors.push(...rowErrors);
+
+    // First non-empty value wins; a different value on a later row is reported.
+    const takeFirst = (label, current, next, assign) => {
+      if (next === "" || next === null || next === undefined) return;
+      if (current === "" || current === null || current === undefined) assign(next);
+      else if (current !== next) g.warnings.push(`Line ${line}: ${label} "${next}" differs from earlier row; kept "${current}"`);
+    };
+    takeFirst("Hire date", rec.hireDate, hireDate, (x) => (rec.hireDate = x));
+    takeFirst("Competency date", rec.competencyDates.demonstrated, demonstrated, (x) => (rec.competencyDates.demonstrated = x));
+    takeFirst("Re-demonstration date", rec.competencyDates.redemonstrated, redemonstrated, (x) => (rec.competencyDates.redemonstrated = x));
+    takeFirst("Willingness", rec.willingness, willing.value, (x) => (rec.willingness = x));
+    takeFirst("Experience", rec.experience, v.experience, (x) => (rec.experience = x));
+    takeFirst("Training", rec.training, v.training, (x) => (rec.training = x));
+    ["rnWorkedWithEmployeeLength", "insulinExperienceCommunity", "insulinExperienceCareer", "willingnessDescription"].forEach((k) =>
+      takeFirst(
+        MEDTECH_IMPORT_FIELDS.find((f) => f.key === k).label,
+        rec.delegationProfile[k],
+        v[k],
+        (x) => (rec.delegationProfile[k] = x)
+      )
+    );
+    if (transcript?.topic && transcript.date) rec.trainingTranscript.push(transcript);
+  });
+
+  return [...groups.values()].map((g) => {
+    if (!g.record.hireDate) g.warnings.push("No hire date");
+    if (!g.record.competencyDates.demonstrated) g.warnings.push("No competency demonstration date");
+    g.record.trainingTranscript.sort((a, b) => new Date(b.date) - new Date(a.date));
+    return g;
+  });
+}
+
+// -------------------- UI PRIMITIVES --------------------
+const Badge = ({ children, tone = "gray" }) => {
+  const tones = {
+    gray: "bg-gray-100 text-gray-700",
+    green: "bg-green-50 text-green-700",
+    yellow: "bg-yellow-50 text-yellow-800",
+    red: "bg-red-50 text-red-700",
+    indigo: "bg-indigo-50 text-indigo-700",
+  };
+  return (
+    <span
+      className={`inline-flex items-center px-2 py-1 text-xs rounded-md border ${tones[tone]}`}
+    >
+      {children}
+    </span>
+  );
+};
+
+const Card = ({ title, value, icon, hint, tone = "indigo", onClick }) => {
+  const toneMap = {
+    indigo: "bg-gray-200",
+    red: "bg-red-100",
+    yellow: "bg-gray-200",
+    green: "bg-gray-200",
+    gray: "bg-gray-200",
+  };
+  return (
+    <div
+      onClick={onClick}
+      className={`rounded-2xl shadow-sm border p-4 transition-all ${toneMap[tone]} ${
+        onClick ? "cursor-pointer hover:shadow-md hover:brightness-95" : ""
+      }`}
+    >
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="text-sm text-gray-600">{title}</div>
+          <div className="text-3xl font-bold text-gray-900 mt-1">{value}</div>
+          {hint ? <div className="text-xs text-gray-500 mt-1">{hint}</div> : null}
+        </div>
+        <div className="p-2 rounded-xl bg-white border border-gray-200">
+          {icon}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+const Button = ({
+  children,
+  onClick,
+  variant = "primary",
+  disabled = false,
+  className = "",
+  title,
+}) => {
+  const base =
+    "inline-flex items-center justify-center gap-2 rounded-xl px-3 py-2 text-sm font-semibold border shadow-sm transition active:scale-[0.99]";
+  const variants = {
+    primary: "bg-indigo-600 text-white hover:bg-indigo-700",
+    secondary:
+      "bg-white text-gray-800 border-gray-200 hover:bg-gray-50",
+    danger: "bg-white text-red-700 border-red-200 hover:bg-red-50",
+    ghost: "bg-transparent text-gray-700 hover:bg-gray-100",
+  };
+  return (
+    <button
+      onClick={onClick}
+      disabled={disabled}
       title={title}
       className={`${base} ${variants[variant]} ${
         disabled ? "opacity-50 cursor-not-allowed" : ""
@@ -575,58 +2800,208 @@ const Modal = ({ title, open, onClose, children, footer }) => {
   );
 };
 
+// -------------------- CSV COLUMN MAPPER --------------------
+const CsvColumnMapper = ({ headers, fields, mapping, onChange }) => (
+  <div className="grid grid-cols-2 gap-3">
+    {fields.map((f) => (
+      <div key={f.key}>
+        <Label>
+          {f.label}
+          {f.required ? " *" : ""}
+        </Label>
+        <select
+          className="w-full border p-2 rounded"
+          value={mapping[f.key] ?? -1}
+          onChange={(e) => onChange({ ...mapping, [f.key]: Number(e.target.value) })}
+        >
+          <option value={-1}>— Not in file —</option>
+          {headers.map((h, idx) => (
+            <option key={idx} value={idx}>
+              {h || `Column ${idx + 1}`}
+            </option>
+          ))}
+        </select>
+      </div>
+    ))}
+  </div>
+);
+
+// -------------------- JUSTIFICATION FIELDS --------------------
+// Renders a task's justification questions; `taskLabels` (id -> label) tags questions when several tasks are asked at once.
+const JustificationFields = ({ questions, values, onChange, taskLabels }) => (
+  <div className="space-y-3">
+    {questions.map((q) => (
+      <div key={q.key}>
+        <Label>{q.label}:</Label>
+        {taskLabels && q.taskIds ? (
+          <div className="text-xs text-gray-500 mb-1">For: {q.taskIds.map((id) => taskLabels[id] || id).join(", ")}</div>
+        ) : null}
+        {q.multiline ? (
+          <textarea
+            className="w-full border p-2 rounded h-24"
+            value={values[q.key] || ""}
+            onChange={(e) => onChange({ ...values, [q.key]: e.target.value })}
+          />
+        ) : (
+          <input
+            className="w-full border p-2 rounded"
+            value={values[q.key] || ""}
+            onChange={(e) => onChange({ ...values, [q.key]: e.target.value })}
+          />
+        )}
+      </div>
+    ))}
+  </div>
+);
+
 // -------------------- SIGNATURE PAD --------------------
+// Signatures are kept as strokes in a fixed logical box so they redraw crisply at any size.
+// Each point records its position, milliseconds since the first stroke began, and pen pressure.
+const SIGNATURE_BOX = { width: 900, height: 180 };
+
+const emptySignatureVector = () => ({ ...SIGNATURE_BOX, capturedAt: "", strokes: [] });
+
+const hasSignatureStrokes = (vector) => !!vector?.strokes?.length;
+
+const signatureStrokeWidth = (stroke) => {
+  const avg = stroke.points.reduce((sum, pt) => sum + pt.p, 0) / (stroke.points.length || 1);
+  return Math.round((1.5 + avg * 3) * 10) / 10;
+};
+
+// Smooths a stroke with quadratic curves through the midpoints of successive points.
+function signatureStrokePath(stroke) {
+  const pts = stroke.points;
+  if (!pts.length) return "";
+  const f = (n) => Math.round(n * 10) / 10;
+  if (pts.length === 1) return `M${f(pts[0].x)} ${f(pts[0].y)}l0.1 0`;
+  let d = `M${f(pts[0].x)} ${f(pts[0].y)}`;
+  for (let i = 1; i < pts.length - 1; i++) {
+    const mx = (pts[i].x + pts[i + 1].x) / 2;
+    const my = (pts[i].y + pts[i + 1].y) / 2;
+    d += `Q${f(pts[i].x)} ${f(pts[i].y)} ${f(mx)} ${f(my)}`;
+  }
+  const last = pts[pts.length - 1];
+  return `${d}L${f(last.x)} ${f(last.y)}`;
+}
+
+// Writes numbers only, so strokes from an imported file cannot smuggle markup into printed HTML.
+function signatureToSVG(vector) {
+  if (!hasSignatureStrokes(vector)) return "";
+  const paths = vector.strokes
+    .map((s) => `<path d="${signatureStrokePath(s)}" stroke-width="${signatureStrokeWidth(s)}"/>`)
+    .join("");
+  const width = Number(vector.width) || SIGNATURE_BOX.width;
+  const height = Number(vector.height) || SIGNATURE_BOX.height;
+  return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" fill="none" stroke="#111827" stroke-linecap="round" stroke-linejoin="round">${paths}</svg>`;
+}
+
+const isPngDataUrl = (s) => typeof s === "string" && /^data:image\/png;base64,[A-Za-z0-9+/=]+$/.test(s);
+
+// Drops the stored SVG string (older saves kept one) and any image that is not a PNG data URL.
+const sanitizeStoredSignature = ({ signatureSvg, ...sig }) =>
+  sig.signatureImage && !isPngDataUrl(sig.signatureImage) ? { ...sig, signatureImage: "" } : sig;
+
+function drawSignatureStrokes(ctx, strokes, scale) {
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+  ctx.strokeStyle = "#111827";
+  strokes.forEach((s) => {
+    ctx.lineWidth = signatureStrokeWidth(s) * scale;
+    ctx.stroke(new Path2D(signatureStrokePath({ points: s.points.map((pt) => ({ ...pt, x: pt.x * scale, y: pt.y * scale })) })));
+  });
+}
+
+// Renders the strokes to a PNG data URL for places that cannot embed SVG.
+function signatureToPNG(vector, scale = 2) {
+  if (!hasSignatureStrokes(vector)) return "";
+  const canvas = document.createElement("canvas");
+  canvas.width = vector.width * scale;
+  canvas.height = vector.height * scale;
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return "";
+  drawSignatureStrokes(ctx, vector.strokes, scale);
+  return canvas.toDataURL("image/png");
+}
+
 function SignaturePad({ value, onChange }) {
   const canvasRef = useRef(null);
-  const [drawing, setDrawing] = useState(false);
+  const strokeRef = useRef(null);
+  const originRef = useRef(0);
+  const [redoStack, setRedoStack] = useState([]);
+  const strokes = value?.strokes || [];
 
-  useEffect(() => {
-    if (!value) return;
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-    const ctx = canvas.getContext("2d");
-    const img = new Image();
-    img.onload = () => {
-      ctx.clearRect(0, 0, canvas.width, canvas.height);
-      ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
-    };
-    img.src = value;
-  }, [value]);
-
-  const getPos = (e) => {
+  const redraw = () => {
     const canvas = canvasRef.current;
+    const ctx = canvas?.getContext("2d");
+    if (!ctx) return;
     const rect = canvas.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.round(rect.width * dpr) || SIGNATURE_BOX.width;
+    if (canvas.width !== width) {
+      canvas.width = width;
+      canvas.height = Math.round((width * SIGNATURE_BOX.height) / SIGNATURE_BOX.width);
+    }
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    drawSignatureStrokes(ctx, strokeRef.current ? [...strokes, strokeRef.current] : strokes, canvas.width / SIGNATURE_BOX.width);
+  };
+
+  useEffect(redraw, [value]);
+  useEffect(() => {
+    if (typeof ResizeObserver === "undefined" || !canvasRef.current) return;
+    const observer = new ResizeObserver(() => redraw());
+    observer.observe(canvasRef.current);
+    return () => observer.disconnect();
+  });
+
+  const getPoint = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const round = (n) => Math.round(n * 10) / 10;
     return {
-      x: (e.clientX - rect.left) * (canvas.width / rect.width),
-      y: (e.clientY - rect.top) * (canvas.height / rect.height),
+      x: round(((e.clientX - rect.left) / (rect.width || 1)) * SIGNATURE_BOX.width),
+      y: round(((e.clientY - rect.top) / (rect.height || 1)) * SIGNATURE_BOX.height),
+      t: Date.now() - originRef.current,
+      // Mice report 0.5 while pressed; pens and some touch screens report real pressure.
+      p: Math.round((e.pressure || 0.5) * 100) / 100,
     };
   };
 
+  // Pointer capture keeps the stroke alive when a finger or pen strays past the edge of the pad.
   const start = (e) => {
-    const ctx = canvasRef.current.getContext("2d");
-    ctx.beginPath();
-    ctx.moveTo(getPos(e).x, getPos(e).y);
-    ctx.lineWidth = 2;
-    ctx.lineCap = "round";
-    ctx.strokeStyle = "#111827";
-    setDrawing(true);
+    e.preventDefault();
+    canvasRef.current.setPointerCapture?.(e.pointerId);
+    originRef.current = value?.capturedAt ? Date.parse(value.capturedAt) : Date.now();
+    strokeRef.current = { points: [getPoint(e)] };
+    redraw();
   };
   const move = (e) => {
-    if (!drawing) return;
-    const ctx = canvasRef.current.getContext("2d");
-    const { x, y } = getPos(e);
-    ctx.lineTo(x, y);
-    ctx.stroke();
+    if (!strokeRef.current) return;
+    strokeRef.current.points.push(getPoint(e));
+    redraw();
+  };
+  const end = (e) => {
+    const stroke = strokeRef.current;
+    if (!stroke) return;
+    strokeRef.current = null;
+    canvasRef.current.releasePointerCapture?.(e.pointerId);
+    const base = value?.strokes?.length ? value : { ...emptySignatureVector(), capturedAt: new Date(originRef.current).toISOString() };
+    setRedoStack([]);
+    onChange({ ...base, strokes: [...base.strokes, stroke] });
   };
-  const end = () => {
-    if (!drawing) return;
-    setDrawing(false);
-    onChange(canvasRef.current.toDataURL("image/png"));
+
+  const undo = () => {
+    if (!strokes.length) return;
+    setRedoStack((r) => [...r, strokes[strokes.length - 1]]);
+    onChange({ ...value, strokes: strokes.slice(0, -1) });
+  };
+  const redo = () => {
+    if (!redoStack.length) return;
+    const stroke = redoStack[redoStack.length - 1];
+    setRedoStack((r) => r.slice(0, -1));
+    onChange({ ...(value || { ...emptySignatureVector(), capturedAt: new Date().toISOString() }), strokes: [...strokes, stroke] });
   };
   const clear = () => {
-    const ctx = canvasRef.current.getContext("2d");
-    ctx.clearRect(0, 0, canvasRef.current.width, canvasRef.current.height);
-    onChange("");
+    setRedoStack([]);
+    onChange(null);
   };
 
   return (
@@ -634,40 +3009,36 @@ function SignaturePad({ value, onChange }) {
       <div className="rounded-xl border border-gray-200 overflow-hidden bg-white">
         <canvas
           ref={canvasRef}
-          width={900}
-          height={180}
-          className="w-full h-[140px]"
+          width={SIGNATURE_BOX.width}
+          height={SIGNATURE_BOX.height}
+          className="w-full aspect-[5/1] touch-none"
           onPointerDown={start}
           onPointerMove={move}
           onPointerUp={end}
-          onPointerLeave={end}
+          onPointerCancel={end}
         />
       </div>
-      <div className="flex gap-2">
+      <div className="flex gap-2 items-center">
+        <Button variant="secondary" onClick={undo} disabled={!strokes.length}>
+          Undo
+        </Button>
+        <Button variant="secondary" onClick={redo} disabled={!redoStack.length}>
+          Redo
+        </Button>
         <Button variant="secondary" onClick={clear}>
           Clear
         </Button>
-        <Badge tone={value ? "green" : "gray"}>
-          {value ? "Signature captured" : "Draw signature (optional)"}
+        <Badge tone={strokes.length ? "green" : "gray"}>
+          {strokes.length ? `Signature captured (${strokes.length} stroke${strokes.length === 1 ? "" : "s"})` : "Draw signature (optional)"}
         </Badge>
       </div>
     </div>
   );
 }
 
-// -------------------- PRINT HELPERS --------------------
-function buildPacketHTML({
-  orgName,
-  orgRNName,
-  delegation,
-  resident,
-  medTech,
-  task,
-  packet,
-  rnSig,
-  mtSig,
-}) {
-  const safe = escapeHtml;
+// -------------------- PRINT HELPERS --------------------
+// What the packet prints beyond the copied record fields; shared by the HTML and PDF packets.
+function getPacketPrintContent({ orgRNName, delegation, medTech, task, rnSig }) {
   const checklist = delegation?.checklist || {};
   const competency = delegation?.competencyMethods || {};
   const j = delegation?.justification || {};
@@ -680,18 +3051,12 @@ function buildPacketHTML({
       ? "Not willing"
       : "");
 
-  const resolved = {
-    rnWorkedWithEmployeeLength:
-      j.rnWorkedWithEmployeeLength || mtProfile.rnWorkedWithEmployeeLength || "",
-    trainingMethodAndRationale: j.trainingMethodAndRationale || "",
-    insulinExperienceCommunity:
-      j.insulinExperienceCommunity || mtProfile.insulinExperienceCommunity || "",
-    insulinExperienceCareer:
-      j.insulinExperienceCareer || mtProfile.insulinExperienceCareer || "",
-    residentWorkAndKnowledge: j.residentWorkAndKnowledge || "",
-    willingnessDescription:
-      j.willingnessDescription || mtWillingFallback || "",
-  };
+  // Unanswered questions fall back to the med-tech's delegation profile where the question names one.
+  const resolveAnswer = (q) =>
+    j[q.key] ||
+    (q.profileKey ? mtProfile[q.profileKey] : "") ||
+    (q.key === "willingnessDescription" ? mtWillingFallback : "") ||
+    "";
 
   const authDays =
     Number.isFinite(delegation?.authDays) && delegation.authDays > 0
@@ -701,16 +3066,71 @@ function buildPacketHTML({
   const rnNameForStatement =
     rnSig?.typedName || delegation?.delegatingRNName || orgRNName || "";
 
-  const sigImg = (dataUrl) =>
-    dataUrl
-      ? `<img src="${dataUrl}" style="height:50px; border-bottom:1px solid #999;" />`
-      : `<div style="height:50px; border-bottom:1px solid #999;"></div>`;
-
-  const statement = safe(
-    `I, ${rnNameForStatement || "__________"}, RN am delegating this employee for the next (${authDays}) days based on the above criteria and documented assessment in the medical record of the resident being ${
+  return {
+    checklist: [
+      ["Stable", checklist.stableCondition],
+      ["Safe Env", checklist.safeEnvironment],
+      ["UAP Willing", checklist.uapWilling],
+    ],
+    competency: [
+      ["Lecture", competency.lecture],
+      ["Discussion", competency.discussion],
+      ["Demo", competency.demonstration],
+      ["Return Demo", competency.returnDemonstration],
+      ["Packet Reviewed", competency.packetReviewed],
+      ["Written Test", competency.writtenTest],
+      ["Verbal Test", competency.verbalTest],
+      ["Other", competency.other],
+    ],
+    answers: getJustificationQuestions(task).map((q) => ({ label: q.label, answer: resolveAnswer(q) })),
+    statement: `I, ${rnNameForStatement || "__________"}, RN am delegating this employee for the next (${authDays}) days based on the above criteria and documented assessment in the medical record of the resident being ${
       checklist.stableCondition ? "stable and predictable" : "NOT confirmed as stable and predictable"
-    }.`
-  );
+    }.`,
+  };
+}
+
+// Signed copies print the wording that was attested; blank packets print the current wording to be signed.
+// Signatures applied before attestations were recorded print none rather than claim them.
+const getPrintedAttestations = (sig, party) =>
+  sig?.signedAt && !sig.attestations
+    ? null
+    : (sig?.attestations || Object.values(SIGNING_ATTESTATIONS[party]).map((text) => ({ text }))).map((a) => ({
+        text: a.text,
+        checked: !!sig?.signedAt,
+      }));
+
+function buildPacketHTML({
+  orgName,
+  orgRNName,
+  delegation,
+  resident,
+  medTech,
+  task,
+  packet,
+  rnSig,
+  mtSig,
+  modifiedAfterSigning,
+}) {
+  const safe = escapeHtml;
+  const content = getPacketPrintContent({ orgRNName, delegation, medTech, task, rnSig });
+
+  const list = (items) => `<ul>${(items || []).map((s) => `<li>${safe(s)}</li>`).join("")}</ul>`;
+
+  const attestations = (sig, party) => {
+    const items = getPrintedAttestations(sig, party);
+    return items
+      ? `<ul class="att">${items.map((a) => `<li>${a.checked ? "&#9745;" : "&#9744;"} ${safe(a.text)}</li>`).join("")}</ul>`
+      : "";
+  };
+  const signedOn = (sig) => (sig?.signedAt ? `<br/><small>Signed ${formatDate(sig.signedAt)}</small>` : "");
+
+  // Vector signatures print inline, rebuilt from their strokes; those captured before strokes were kept fall back to their PNG.
+  const sigImg = (sig) =>
+    hasSignatureStrokes(sig?.signatureStrokes)
+      ? `<div class="sig">${signatureToSVG(sig.signatureStrokes)}</div>`
+      : isPngDataUrl(sig?.signatureImage)
+      ? `<img src="${sig.signatureImage}" style="height:50px; border-bottom:1px solid #999;" />`
+      : `<div style="height:50px; border-bottom:1px solid #999;"></div>`;
 
   return `
   <html><head><meta charset="utf-8" /><title>Delegation Packet</title>
@@ -720,9 +3140,19 @@ function buildPacketHTML({
     .row{display:flex;gap:16px;}
     .col{flex:1;}
     .q{margin-top:8px;}
+    .att{list-style:none;padding-left:0;font-size:12px;}
+    .wf{width:100%;border-collapse:collapse;margin-top:8px;}
+    .wf th,.wf td{border:1px solid #e5e7eb;padding:8px;text-align:left;vertical-align:top;width:50%;}
+    .sig{height:50px;border-bottom:1px solid #999;}
+    .sig svg{height:100%;width:auto;}
   </style>
   </head><body>
     <h1>${safe(orgName)} — RN Delegation Packet</h1>
+    ${
+      modifiedAfterSigning
+        ? `<div class="box" style="border-color:#dc2626;color:#b91c1c;"><b>MODIFIED AFTER SIGNING</b> — the content below changed after it was signed. It must be re-signed before this delegation is compliant.</div>`
+        : ""
+    }
     <div class="box"><div class="row">
       <div class="col">
         <b>Resident:</b> ${safe(resident?.name)} (DOB ${safe(resident?.dob)})<br/>
@@ -733,53 +3163,54 @@ function buildPacketHTML({
     </div></div>
 
     <h2>OBN Checklist</h2>
-    <div class="box">Stable: ${checklist.stableCondition ? "YES" : "NO"} | Safe Env: ${checklist.safeEnvironment ? "YES" : "NO"} | UAP Willing: ${checklist.uapWilling ? "YES" : "NO"}</div>
+    <div class="box">${content.checklist.map(([label, v]) => `${label}: ${v ? "YES" : "NO"}`).join(" | ")}</div>
 
     <h2>Procedure</h2>
-    <div class="box"><b>${safe(packet?.title)}</b><ul>${(packet?.steps || [])
-      .map((s) => `<li>${safe(s)}</li>`)
-      .join("")}</ul></div>
+    <div class="box"><b>${safe(packet?.title)}</b>${list(packet?.steps)}${
+      packet?.residentSteps?.length ? `<b>${PACKET_CUSTOMIZATION_FIELDS.residentSteps}</b>${list(packet.residentSteps)}` : ""
+    }</div>
+    ${
+      packet?.parameters?.length
+        ? `<h2>${PACKET_CUSTOMIZATION_FIELDS.parameters}</h2><div class="box">${list(packet.parameters)}</div>`
+        : ""
+    }
+
+    <h2>Watch For / Action If Occurs</h2>
+    <table class="wf"><thead><tr><th>Watch For</th><th>Action If Occurs</th></tr></thead>
+      <tbody><tr><td>${list(packet?.watchFor)}</td><td>${list(packet?.actionIfOccurs)}${
+        packet?.notifications?.length ? `<b>${PACKET_CUSTOMIZATION_FIELDS.notifications}</b>${list(packet.notifications)}` : ""
+      }</td></tr></tbody>
+    </table>
 
     <h2>Competency</h2>
     <div class="box">
       <b>Methods:</b>
-      Lecture: ${competency.lecture ? "Y" : "N"},
-      Discussion: ${competency.discussion ? "Y" : "N"},
-      Demo: ${competency.demonstration ? "Y" : "N"},
-      Return Demo: ${competency.returnDemonstration ? "Y" : "N"},
-      Packet Reviewed: ${competency.packetReviewed ? "Y" : "N"},
-      Written Test: ${competency.writtenTest ? "Y" : "N"},
-      Verbal Test: ${competency.verbalTest ? "Y" : "N"},
-      Other: ${competency.other ? "Y" : "N"}
+      ${content.competency.map(([label, v]) => `${label}: ${v ? "Y" : "N"}`).join(", ")}
     </div>
 
     <h2>Justification</h2>
     <div class="box">
-      <div class="q"><b>Length of time RN has worked with employee being delegated:</b><br/>${safe(resolved.rnWorkedWithEmployeeLength)}</div>
-      <div class="q"><b>Document method of training/delegating task of administering insulin, including rationale:</b><br/>${safe(resolved.trainingMethodAndRationale)}</div>
-      <div class="q"><b>Length of time during career employee has given insulin; include details on within your community and total within career.</b><br/>
-        • Within this community: ${safe(resolved.insulinExperienceCommunity)}<br/>
-        • Total within career: ${safe(resolved.insulinExperienceCareer)}
-      </div>
-      <div class="q"><b>Length of time the employee has worked directly with the Resident being delegated and knowledge level of individualized signs and symptoms of hyper/hypoglycemia of this resident:</b><br/>${safe(resolved.residentWorkAndKnowledge)}</div>
-      <div class="q"><b>Describe the willingness of the Unlicensed Professional to conduct the delegated task:</b><br/>${safe(resolved.willingnessDescription)}</div>
-      <div class="q"><b>Delegation Statement:</b><br/>${statement}</div>
+      ${content.answers.map((a) => `<div class="q"><b>${safe(a.label)}:</b><br/>${safe(a.answer)}</div>`).join("")}
+      <div class="q"><b>Delegation Statement:</b><br/>${safe(content.statement)}</div>
     </div>
 
     <h2>Signatures</h2>
     <div class="box"><div class="row">
-      <div class="col">${sigImg(mtSig?.signatureImage)}<br/><b>MT:</b> ${safe(mtSig?.typedName)}</div>
-      <div class="col">${sigImg(rnSig?.signatureImage)}<br/><b>RN:</b> ${safe(rnSig?.typedName)}</div>
+      <div class="col">${sigImg(mtSig)}<br/><b>MT:</b> ${safe(mtSig?.typedName)}${signedOn(mtSig)}${attestations(mtSig, "mt")}</div>
+      <div class="col">${sigImg(rnSig)}<br/><b>RN:</b> ${safe(rnSig?.typedName)}${signedOn(rnSig)}${attestations(rnSig, "rn")}</div>
     </div></div>
   </body></html>`;
 }
 
+const ASSESSMENT_NOTIFICATION_TEXT =
+  "Resident and/or legally authorized representative was notified that insulin administration will be performed by an Unlicensed Person pursuant to Registered Nurse (RN) delegation. The (RN) provided initial instruction and competency validation and will maintain ongoing supervision, evaluation, and reauthorization monitoring per their respective Board of Nursing, state regulations, and facility policies and procedures. Resident/representative voiced understanding and agreement.";
+
 function buildAssessmentHTML({ orgName, resident, assessment }) {
   const safe = escapeHtml;
   const notificationBlock = assessment?.residentNotification
     ? `<div style="margin-top:24px; border:1px solid #ccc; padding:12px; border-radius:8px; background-color:#f9f9f9;">
          <b>Resident Notification & Attestation:</b><br/>
-         Resident and/or legally authorized representative was notified that insulin administration will be performed by an Unlicensed Person pursuant to Registered Nurse (RN) delegation. The (RN) provided initial instruction and competency validation and will maintain ongoing supervision, evaluation, and reauthorization monitoring per their respective Board of Nursing, state regulations, and facility policies and procedures. Resident/representative voiced understanding and agreement.
+         ${ASSESSMENT_NOTIFICATION_TEXT}
        </div>`
     : "";
 
@@ -832,6 +3263,387 @@ function printTranscript(args) {
   setTimeout(() => w.print(), 300);
 }
 
+// PDF counterparts of the print builders above. render* draws into a layout so binders can combine them;
+// build* resolves to a Blob.
+async function renderPacketPDF(doc, args) {
+  const { orgName, delegation, resident, medTech, task, packet, rnSig, mtSig, modifiedAfterSigning } = args;
+  const content = getPacketPrintContent(args);
+
+  doc.heading(`${orgName || "CareScope"} — RN Delegation Packet`, 16);
+  if (modifiedAfterSigning) {
+    doc.banner(
+      "MODIFIED AFTER SIGNING — the content below changed after it was signed. It must be re-signed before this delegation is compliant."
+    );
+  }
+  doc.space();
+  doc.field("Resident", `${resident?.name || ""} (DOB ${resident?.dob || "—"})`);
+  doc.field("Regimen", resident?.regimen);
+  doc.field("Med-Tech", medTech?.name);
+  doc.field("Task", task?.label);
+  doc.field("Auth Ends", formatDate(delegation?.endDate));
+
+  doc.heading("OBN Checklist");
+  doc.paragraph(content.checklist.map(([label, v]) => `${label}: ${v ? "YES" : "NO"}`).join(" | "));
+
+  doc.heading("Procedure");
+  doc.paragraph(packet?.title || "", { bold: true });
+  doc.list(packet?.steps);
+  if (packet?.residentSteps?.length) {
+    doc.paragraph(PACKET_CUSTOMIZATION_FIELDS.residentSteps, { bold: true });
+    doc.list(packet.residentSteps);
+  }
+  if (packet?.parameters?.length) {
+    doc.heading(PACKET_CUSTOMIZATION_FIELDS.parameters);
+    doc.list(packet.parameters);
+  }
+
+  doc.heading("Watch For / Action If Occurs");
+  const bullets = (items) => (items || []).map((text) => ({ text, bullet: true }));
+  doc.table(
+    ["Watch For", "Action If Occurs"],
+    [
+      [
+        bullets(packet?.watchFor),
+        [
+          ...bullets(packet?.actionIfOccurs),
+          ...(packet?.notifications?.length
+            ? [{ text: PACKET_CUSTOMIZATION_FIELDS.notifications, bold: true }, ...bullets(packet.notifications)]
+            : []),
+        ],
+      ],
+    ]
+  );
+
+  doc.heading("Competency");
+  doc.field("Methods", content.competency.map(([label, v]) => `${label}: ${v ? "Y" : "N"}`).join(", "));
+
+  doc.heading("Justification");
+  content.answers.forEach((a) => {
+    doc.paragraph(`${a.label}:`, { bold: true });
+    doc.paragraph(a.answer || "—");
+    doc.space(4);
+  });
+  doc.paragraph("Delegation Statement:", { bold: true });
+  doc.paragraph(content.statement);
+
+  doc.heading("Signatures");
+  for (const [sig, party, label] of [
+    [mtSig, "mt", "MT"],
+    [rnSig, "rn", "RN"],
+  ]) {
+    doc.signature({
+      strokes: sig?.signatureStrokes,
+      jpeg: !sig?.signatureStrokes && sig?.signatureImage ? await loadImageAsJpeg(sig.signatureImage) : null,
+    });
+    doc.field(label, sig?.typedName || "");
+    if (sig?.signedAt) doc.paragraph(`Signed ${formatDate(sig.signedAt)}`, { size: 8, color: PDF_COLORS.muted });
+    const attested = getPrintedAttestations(sig, party);
+    if (attested) doc.checklist(attested);
+    doc.space(10);
+  }
+}
+
+async function buildPacketPDF(args) {
+  const doc = createPdfLayout({ title: "RN Delegation Packet", orgName: args.orgName });
+  await renderPacketPDF(doc, args);
+  return doc.finish();
+}
+
+function renderAssessmentPDF(doc, { resident, assessment }) {
+  doc.heading("RN Diabetic Assessment", 16);
+  doc.field("Resident", resident?.name);
+  doc.field("Date", assessment?.date);
+  doc.field("Type", assessment?.type);
+  doc.field("Status", assessment?.stable ? "Stable" : "Unstable");
+  doc.heading("Narrative", 12);
+  doc.paragraph(assessment?.notes || "");
+  if (assessment?.residentNotification) {
+    doc.heading("Resident Notification & Attestation", 11);
+    doc.paragraph(ASSESSMENT_NOTIFICATION_TEXT);
+  }
+}
+
+async function buildAssessmentPDF(args) {
+  const doc = createPdfLayout({ title: "RN Diabetic Assessment", orgName: args.orgName });
+  renderAssessmentPDF(doc, args);
+  return doc.finish();
+}
+
+async function buildTranscriptPDF({ orgName, medTech }) {
+  const transcripts = medTech?.trainingTranscript || [];
+  const doc = createPdfLayout({ title: "Training Transcript", orgName });
+  doc.heading("Training Transcript", 16);
+  doc.field("Med-Tech", medTech?.name);
+  doc.field("Community", orgName);
+  const w = doc.contentWidth;
+  doc.table(
+    ["Date", "Topic", "Notes"],
+    transcripts.length ? transcripts.map((t) => [formatDate(t.date), t.topic || "", t.notes || ""]) : [["No records.", "", ""]],
+    [w * 0.2, w * 0.3, w * 0.5]
+  );
+  return doc.finish();
+}
+
+const delegationFilename = ({ resident, task, delegation }, ext) =>
+  `Delegation_${fileSafeName(resident?.name) || "Resident"}_${fileSafeName(task?.label) || "Task"}_${
+    delegation?.startDate || todayISO()
+  }.${ext}`;
+
+const downloadPacketPDF = async (args) => downloadFile(delegationFilename(args, "pdf"), await buildPacketPDF(args));
+const downloadAssessmentPDF = async (args) =>
+  downloadFile(
+    `Assessment_${fileSafeName(args.resident?.name) || "Resident"}_${args.assessment?.date || todayISO()}.pdf`,
+    await buildAssessmentPDF(args)
+  );
+const downloadTranscriptPDF = async (args) =>
+  downloadFile(`Transcript_${fileSafeName(args.medTech?.name) || "MedTech"}_${todayISO()}.pdf`, await buildTranscriptPDF(args));
+
+// -------------------- BINDERS --------------------
+// A binder is several print documents with a generated contents page, printed or downloaded as one file.
+// binder = { title, orgName, filename, sections: [{ kind, title, group?, args }] }; `group` headings the
+// contents (e.g. one per resident) and `kind` picks the builders below.
+// delegations: [{ task, medTech, status, startDate, endDate }]
+function buildFaceSheetHTML({ orgName, resident, delegations }) {
+  const safe = escapeHtml;
+  const rows = (delegations || [])
+    .map(
+      (d) =>
+        `<tr><td>${safe(d.task)}</td><td>${safe(d.medTech)}</td><td>${safe(d.status)}</td><td>${formatDate(d.startDate)} – ${formatDate(d.endDate)}</td></tr>`
+    )
+    .join("");
+  return `<html><head><meta charset="utf-8" /><title>Face Sheet</title><style>body{font-family:Arial,sans-serif;padding:40px;} .fs{width:100%;border-collapse:collapse;margin-top:12px;} .fs th,.fs td{border:1px solid #ddd;padding:8px;text-align:left;}</style></head><body><h1>Resident Face Sheet</h1><p><b>Resident:</b> ${safe(
+    resident?.name
+  )}<br/><b>DOB:</b> ${safe(resident?.dob)}<br/><b>Unit:</b> ${safe(resident?.unit)}<br/><b>Community:</b> ${safe(
+    orgName
+  )}</p><p><b>Diagnosis:</b> ${safe(resident?.diagnosis)}<br/><b>Regimen:</b> ${safe(resident?.regimen)}</p><p><b>Assessment Status:</b> ${safe(
+    resident?.assessmentStatus
+  )}<br/><b>Last Assessment:</b> ${formatDate(resident?.lastAssessmentDate)}<br/><b>Next Assessment Due:</b> ${formatDate(
+    getNextAssessmentDueDate(resident)
+  )}</p><h3>Delegations</h3><table class="fs"><thead><tr><th>Task</th><th>Med-Tech</th><th>Status</th><th>Period</th></tr></thead><tbody>${
+    rows || `<tr><td colspan="4">No delegations.</td></tr>`
+  }</tbody></table></body></html>`;
+}
+
+function renderFaceSheetPDF(doc, { orgName, resident, delegations }) {
+  doc.heading("Resident Face Sheet", 16);
+  doc.field("Resident", resident?.name);
+  doc.field("DOB", resident?.dob);
+  doc.field("Unit", resident?.unit);
+  doc.field("Community", orgName);
+  doc.space();
+  doc.field("Diagnosis", resident?.diagnosis);
+  doc.field("Regimen", resident?.regimen);
+  doc.space();
+  doc.field("Assessment Status", resident?.assessmentStatus);
+  doc.field("Last Assessment", formatDate(resident?.lastAssessmentDate));
+  doc.field("Next Assessment Due", formatDate(getNextAssessmentDueDate(resident)));
+  doc.heading("Delegations", 12);
+  const w = doc.contentWidth;
+  doc.table(
+    ["Task", "Med-Tech", "Status", "Period"],
+    (delegations || []).length
+      ? delegations.map((d) => [d.task, d.medTech, d.status, `${formatDate(d.startDate)} – ${formatDate(d.endDate)}`])
+      : [["No delegations.", "", "", ""]],
+    [w * 0.3, w * 0.22, w * 0.18, w * 0.3]
+  );
+}
+
+const BINDER_SECTION_BUILDERS = {
+  faceSheet: { html: buildFaceSheetHTML, pdf: renderFaceSheetPDF },
+  assessment: { html: buildAssessmentHTML, pdf: renderAssessmentPDF },
+  packet: { html: buildPacketHTML, pdf: renderPacketPDF },
+};
+
+// Contents rows: a bold row per group (pointing at its first section) followed by its sections.
+const getBinderContents = (sections, startPages) =>
+  sections.flatMap((s, i) => [
+    ...(s.group && s.group !== sections[i - 1]?.group ? [{ label: s.group, page: startPages?.[i], group: true }] : []),
+    { label: s.title, page: startPages?.[i], anchor: `section-${i + 1}`, group: false, indented: !!s.group },
+  ]);
+
+function buildBinderHTML({ title, orgName, sections }) {
+  const safe = escapeHtml;
+  const docs = sections.map((s) => BINDER_SECTION_BUILDERS[s.kind].html(s.args));
+  const styles = [...new Set(docs.map((html) => html.match(/<style>([\s\S]*?)<\/style>/)?.[1] || ""))].join("\n");
+  const contents = getBinderContents(sections)
+    .map((row) =>
+      row.group
+        ? `<li class="grp">${safe(row.label)}</li>`
+        : `<li${row.indented ? ' class="sub"' : ""}><a href="#${row.anchor}">${safe(row.label)}</a></li>`
+    )
+    .join("");
+  return `<html><head><meta charset="utf-8" /><title>${safe(title)}</title><style>${styles}
+    .binder-section{page-break-before:always;}
+    .toc{list-style:none;padding-left:0;} .toc li{margin:4px 0;} .toc .grp{font-weight:bold;margin-top:12px;} .toc .sub{padding-left:16px;}
+  </style></head><body>
+    <h1>${safe(title)}</h1>
+    <p>${safe(orgName)} · Generated ${formatDate(todayISO())} · ${sections.length} document(s)</p>
+    <h2>Contents</h2><ol class="toc">${contents}</ol>
+    ${docs
+      .map((html, i) => `<section id="section-${i + 1}" class="binder-section">${html.match(/<body>([\s\S]*)<\/body>/)?.[1] || ""}</section>`)
+      .join("")}
+  </body></html>`;
+}
+
+// The contents pages are reserved up front and filled in once every section's first page is known.
+async function buildBinderPDF({ title, orgName, sections }) {
+  const doc = createPdfLayout({ title, orgName });
+  const rowCount = getBinderContents(sections).length;
+  const contentsPages = doc.reservePages(Math.max(1, Math.ceil(rowCount / doc.rowsPerPage)), "Contents");
+  const startPages = [];
+  for (const s of sections) {
+    startPages.push(doc.startSection(s.title));
+    await BINDER_SECTION_BUILDERS[s.kind].pdf(doc, s.args);
+  }
+  const rows = getBinderContents(sections, startPages);
+  contentsPages.forEach((index, n) =>
+    doc.onPage(index, () => {
+      if (n === 0) {
+        doc.heading(title, 16);
+        doc.paragraph(`${orgName || "CareScope"} · Generated ${formatDate(todayISO())} · ${sections.length} document(s)`, {
+          size: 9,
+          color: PDF_COLORS.muted,
+        });
+      }
+      rows
+        .slice(n * doc.rowsPerPage, (n + 1) * doc.rowsPerPage)
+        .forEach((row) => doc.contentsRow(row.label, row.page, { bold: row.group, indent: row.indented ? 14 : 0 }));
+    })
+  );
+  return doc.finish();
+}
+
+function printBinder(binder) {
+  const w = window.open("", "_blank");
+  w.document.write(buildBinderHTML(binder));
+  w.document.close();
+  setTimeout(() => w.print(), 300);
+}
+
+const downloadBinderPDF = async (binder) => downloadFile(binder.filename, await buildBinderPDF(binder));
+
+// -------------------- SURVEY ARCHIVE --------------------
+// One zip for a surveyor: every packet, assessment and transcript for a community and date range as the same
+// HTML the app prints, the audit log, an index (HTML + CSV), and a manifest with a SHA-256 for every file.
+// input = { orgName, from, to, packets: [packet args + { id, periodNumber }], assessments: [{ resident, assessment }],
+//           medTechs (transcripts already limited to the range), audit: [{ delegationId, resident, medTech, task, at, action, detail }] }
+const SURVEY_ARCHIVE_FORMAT = "carescope-survey-archive";
+
+async function buildSurveyArchive({ orgName, from, to, packets, assessments, medTechs, audit }) {
+  const safe = escapeHtml;
+  const generatedAt = new Date().toISOString();
+  const files = [];
+  const used = new Set();
+  // Same-named documents (e.g. two med-techs' periods that start the same day) get a numeric suffix.
+  const addFile = (folder, base, data) => {
+    let path = `${folder}/${base}.html`;
+    for (let n = 2; used.has(path); n++) path = `${folder}/${base}_${n}.html`;
+    used.add(path);
+    files.push({ name: path, data });
+    return path;
+  };
+
+  const packetRows = packets.map((p) => ({
+    ...p,
+    path: addFile("packets", delegationFilename(p, "html").replace(/\.html$/, ""), buildPacketHTML(p)),
+  }));
+  const assessmentRows = assessments.map((a) => ({
+    ...a,
+    path: addFile(
+      "assessments",
+      `Assessment_${fileSafeName(a.resident?.name) || "Resident"}_${a.assessment?.date || "undated"}`,
+      buildAssessmentHTML({ orgName, resident: a.resident, assessment: a.assessment })
+    ),
+  }));
+  const transcriptRows = medTechs.map((m) => ({
+    medTech: m,
+    path: addFile("transcripts", `Transcript_${fileSafeName(m.name) || "MedTech"}`, buildTranscriptHTML({ orgName, medTech: m })),
+  }));
+
+  const auditHeader = ["Delegation ID", "Resident", "Med-Tech", "Task", "At", "Action", "Detail"];
+  files.push({
+    name: "audit-log.csv",
+    data: "\uFEFF" + toCSV([auditHeader, ...audit.map((e) => [e.delegationId, e.resident, e.medTech, e.task, e.at, e.action, e.detail])]),
+  });
+
+  const signedOn = (sig) => (sig?.signedAt ? sig.signedAt.slice(0, 10) : "");
+  const indexRows = [
+    ["Type", "Resident", "Med-Tech", "Task", "Date / Period", "Status", "RN Signed", "MT Signed", "File"],
+    ...packetRows.map((p) => [
+      "Delegation Packet",
+      p.resident?.name,
+      p.medTech?.name,
+      p.task?.label,
+      `${p.delegation?.startDate || ""} to ${p.delegation?.endDate || ""}`,
+      `${DELEGATION_STATES[p.delegation?.status]?.label || p.delegation?.status || ""}${p.modifiedAfterSigning ? " (MODIFIED AFTER SIGNING)" : ""}`,
+      signedOn(p.rnSig),
+      signedOn(p.mtSig),
+      p.path,
+    ]),
+    ...assessmentRows.map((a) => [
+      "Assessment",
+      a.resident?.name,
+      "",
+      a.assessment?.type,
+      a.assessment?.date,
+      a.assessment?.stable ? "Stable" : "Unstable",
+      "",
+      "",
+      a.path,
+    ]),
+    ...transcriptRows.map((t) => ["Training Transcript", "", t.medTech.name, "", `${(t.medTech.trainingTranscript || []).length} record(s)`, "", "", "", t.path]),
+    ["Audit Log", "", "", "", `${audit.length} entr${audit.length === 1 ? "y" : "ies"}`, "", "", "", "audit-log.csv"],
+  ];
+  files.push({ name: "index.csv", data: "\uFEFF" + toCSV(indexRows) });
+  files.push({
+    name: "index.html",
+    data: `<html><head><meta charset="utf-8" /><title>Survey Archive</title><style>body{font-family:Arial,sans-serif;padding:40px;} table{width:100%;border-collapse:collapse;margin-top:12px;} th,td{border:1px solid #ddd;padding:6px;text-align:left;font-size:13px;} th{background-color:#f3f4f6;}</style></head><body><h1>Survey Archive — ${safe(
+      orgName
+    )}</h1><p><b>Period:</b> ${formatDate(from)} – ${formatDate(to)}<br/><b>Generated:</b> ${safe(generatedAt)}<br/><b>Packets:</b> ${
+      packetRows.length
+    } · <b>Assessments:</b> ${assessmentRows.length} · <b>Transcripts:</b> ${transcriptRows.length} · <b>Audit entries:</b> ${
+      audit.length
+    }</p><p>Each file's SHA-256 is listed in manifest.json and SHA256SUMS.</p><table><thead><tr>${indexRows[0]
+      .map((h) => `<th>${safe(h)}</th>`)
+      .join("")}</tr></thead><tbody>${indexRows
+      .slice(1)
+      .map(
+        (r) =>
+          `<tr>${r
+            .slice(0, -1)
+            .map((v) => `<td>${safe(v)}</td>`)
+            .join("")}<td><a href="${safe(r[r.length - 1])}">${safe(r[r.length - 1])}</a></td></tr>`
+      )
+      .join("")}</tbody></table></body></html>`,
+  });
+
+  const checksums = await Promise.all(
+    files.map(async (f) => {
+      const bytes = toBytes(f.data);
+      return { path: f.name, bytes: bytes.length, sha256: await sha256Hex(bytes) };
+    })
+  );
+  const manifest = {
+    format: SURVEY_ARCHIVE_FORMAT,
+    generatedAt,
+    community: orgName,
+    from,
+    to,
+    counts: {
+      packets: packetRows.length,
+      assessments: assessmentRows.length,
+      transcripts: transcriptRows.length,
+      auditEntries: audit.length,
+    },
+    files: checksums,
+  };
+  return createZip([
+    ...files,
+    { name: "manifest.json", data: JSON.stringify(manifest, null, 2) },
+    { name: "SHA256SUMS", data: checksums.map((c) => `${c.sha256}  ${c.path}\n`).join("") },
+  ]);
+}
+
 // -------------------- MAIN APP --------------------
 //export default function DelegationManagementApp() {
 function DelegationManagementApp() {
@@ -839,28 +3651,27 @@ function DelegationManagementApp() {
 
   // -- UI HELPERS --
   const statusBadge = (d) => {
-    if (d.status === "rescinded") return <Badge tone="red">RESCINDED</Badge>;
-    if (new Date(d.endDate) < new Date(TODAY)) {
+    const state = DELEGATION_STATES[d.status] || { label: getDelegationDisplayStatus(d), tone: "gray" };
+    if (d.status === "expired") {
       return (
         <button
           onClick={() => openReauthModal(d.id)}
           className="cursor-pointer hover:opacity-75 transition-opacity"
           title="Click to Reauthorize"
         >
-          <Badge tone="red">OVERDUE</Badge>
+          <Badge tone={state.tone}>{state.label}</Badge>
         </button>
       );
     }
-    if (daysBetween(TODAY, d.endDate) <= DUE_SOON_DAYS) return <Badge tone="yellow">DUE SOON</Badge>;
-    return <Badge tone="green">ACTIVE</Badge>;
-  };
-
-  const getNextAssessmentDueDate = (resident) => {
-    if (!resident) return null;
-    if (resident.nextAssessmentDate) return resident.nextAssessmentDate;
-    const interval = resident.reassessInDays || ASSESSMENT_INTERVAL_DAYS;
-    if (resident.lastAssessmentDate) return addDays(resident.lastAssessmentDate, interval);
-    return null;
+    if (isModifiedAfterSigning(d)) {
+      return (
+        <span className="inline-flex flex-wrap gap-1">
+          <Badge tone={state.tone}>{state.label}</Badge>
+          <Badge tone="red">MODIFIED AFTER SIGNING</Badge>
+        </span>
+      );
+    }
+    return <Badge tone={state.tone}>{state.label}</Badge>;
   };
 
   const assessmentBadge = (resident) => {
@@ -911,55 +3722,83 @@ function DelegationManagementApp() {
   const [activeCommunityId, setActiveCommunityId] = useState("cm-01");
   const [residents, setResidents] = useState(MOCK_RESIDENTS);
   const [medTechs, setMedTechs] = useState(MOCK_MEDTECHS);
-  const [delegations, setDelegations] = useState([
-    {
-      id: "del-expired-001",
-      residentId: "res-003",
-      medTechId: "mt-001",
-      taskId: "insulin-pen",
-      startDate: addDays(todayISO(), -100),
-      endDate: addDays(todayISO(), -10),
-      authDays: 90,
-      status: "active",
-      checklist: {
-        stableCondition: true,
-        safeEnvironment: true,
-        uapSkills: true,
-        uapWilling: true,
-        rnAvailable: true,
-        writtenInstructions: true,
-        nonTransferable: true,
-      },
-      competencyMethods: {
-        lecture: false,
-        discussion: true,
-        demonstration: true,
-        returnDemonstration: true,
-        packetReviewed: true,
-        other: false,
-      },
-      justification: {
-        rnWorkedWithEmployeeLength: "RN has worked with employee for 5 years (multiple direct observations).",
-        trainingMethodAndRationale: "Return demonstration observed; rationale: task is routine, employee is competent and follows policy.",
-        insulinExperienceCommunity: "5 years within this community administering insulin per MAR.",
-        insulinExperienceCareer: "5+ years total administering insulin across prior roles.",
-        residentWorkAndKnowledge: "Worked with resident for 2+ years; recognizes individualized signs of hypoglycemia and hyperglycemia for this resident.",
-        willingnessDescription: "Willing; reports concerns and follows RN direction.",
-      },
-      authJustification:
-        "See justification fields (structured) in packet.",
-      supervisionDueDate: addDays(todayISO(), -40),
-      supervisionHistory: [],
-      signatures: {
-        rn: { signedAt: addDays(todayISO(), -100), typedName: "Janet Westlund, RN", method: "TYPED" },
-        mt: { signedAt: addDays(todayISO(), -100), typedName: "Kevin Mills", method: "TYPED" },
-      },
-      audit: [
-        { at: addDays(todayISO(), -100), action: "CREATED", detail: "Initial Auth 90 days" },
-      ],
-    },
-  ]);
+  const [delegations, setDelegations] = useState(MOCK_DELEGATIONS);
+  const [taskCatalog, setTaskCatalog] = useState(DEFAULT_TASK_CATALOG);
+  const [formTemplates, setFormTemplates] = useState([]); // { id, name, fileName, uploadedAt, placeholders, data (base64) }
   const [formErrors, setFormErrors] = useState([]);
+  const [newDelegationStep, setNewDelegationStep] = useState(0);
+  const [newDelegationDraftId, setNewDelegationDraftId] = useState(null);
+
+  // -- PERSISTENCE --
+  // Nothing is saved until the stored snapshot has loaded, so mock data only ever seeds an empty store.
+  const [storeStatus, setStoreStatus] = useState("loading"); // loading | ready | error
+  const [saveError, setSaveError] = useState(null); // message of the last failed save, cleared by the next success
+
+  useEffect(() => {
+    let cancelled = false;
+    appStore
+      .load()
+      .then((snapshot) => {
+        if (cancelled) return;
+        if (snapshot) {
+          setCommunities(snapshot.data.communities);
+          setResidents(snapshot.data.residents);
+          setMedTechs(snapshot.data.medTechs);
+          setDelegations(snapshot.data.delegations);
+          setTaskCatalog(snapshot.data.taskCatalog);
+          setFormTemplates(snapshot.data.formTemplates);
+        }
+        setStoreStatus("ready");
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        alert(`Saved data could not be loaded; changes in this session will NOT be saved.\n\n${err.message}`);
+        setStoreStatus("error");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (storeStatus !== "ready") return;
+    appStore
+      .save({ communities, residents, medTechs, delegations, taskCatalog, formTemplates })
+      .then(() => setSaveError(null))
+      .catch((err) => setSaveError(err.message || String(err)));
+  }, [storeStatus, communities, residents, medTechs, delegations, taskCatalog, formTemplates]);
+
+  // Advance active -> expiring -> expired as dates pass (also catches up records loaded from storage).
+  useEffect(() => {
+    if (storeStatus === "loading") return;
+    setDelegations((p) => {
+      let changed = false;
+      const next = p.map((d) => {
+        const synced = syncTimedLifecycle(d, TODAY);
+        if (synced !== d) changed = true;
+        return synced;
+      });
+      return changed ? next : p;
+    });
+  }, [storeStatus, delegations, TODAY]);
+
+  // SHA-256 of each signed period's content (its snapshot once frozen), compared with the hash stored on each signature.
+  const [contentHashes, setContentHashes] = useState({});
+  const [hashError, setHashError] = useState(null); // set while hashing fails, so no period can be flagged as modified
+  useEffect(() => {
+    let cancelled = false;
+    const signed = delegations.filter((d) => Object.values(d.signatures || {}).some((sig) => sig?.contentHash));
+    Promise.all(signed.map(async (d) => [d.id, await hashSignedContent(getPeriodSignedContent(d))]))
+      .then((entries) => {
+        if (cancelled) return;
+        setContentHashes(Object.fromEntries(entries));
+        setHashError(null);
+      })
+      .catch((err) => !cancelled && setHashError(err.message || String(err)));
+    return () => {
+      cancelled = true;
+    };
+  }, [delegations, residents, medTechs, communities, taskCatalog]);
 
   const activeCommunity = useMemo(
     () =>
@@ -982,9 +3821,18 @@ function DelegationManagementApp() {
   const [isEditingResident, setIsEditingResident] = useState(false);
   const [showMtSupervisionModal, setShowMtSupervisionModal] = useState(false);
   const [showTrainingModal, setShowTrainingModal] = useState(false);
+  const [showEmploymentModal, setShowEmploymentModal] = useState(false);
+  const [overlapReviewIds, setOverlapReviewIds] = useState([]);
+  const [showTaskCatalog, setShowTaskCatalog] = useState(false);
+  const [showFormTemplates, setShowFormTemplates] = useState(false);
   const [showLogTrainingModal, setShowLogTrainingModal] = useState(false);
   const [showAddMedTech, setShowAddMedTech] = useState(false);
   const [editingCommunityId, setEditingCommunityId] = useState(null);
+  const [showRestoreModal, setShowRestoreModal] = useState(false);
+  const [historyDelegationId, setHistoryDelegationId] = useState(null);
+  const [historyAsOf, setHistoryAsOf] = useState(TODAY);
+  const [showResidentImport, setShowResidentImport] = useState(false);
+  const [showMedTechImport, setShowMedTechImport] = useState(false);
 
   const getEmptyNewDelegation = () => ({
     residentId: "",
@@ -1024,9 +3872,10 @@ function DelegationManagementApp() {
   const [newDelegation, setNewDelegation] = useState(getEmptyNewDelegation());
 
   const [signMode, setSignMode] = useState({
+    party: "rn",
     rnTypedName: "",
     rnUseDrawn: false,
-    rnSignatureImage: "",
+    rnSignatureStrokes: null,
     rnAttest: {
       taughtAndObserved: false,
       writtenInstructionsProvided: false,
@@ -1035,7 +3884,7 @@ function DelegationManagementApp() {
     },
     mtTypedName: "",
     mtUseDrawn: false,
-    mtSignatureImage: "",
+    mtSignatureStrokes: null,
     mtAttest: {
       understandsWhy: false,
       residentSpecificNonTransferable: false,
@@ -1059,16 +3908,25 @@ function DelegationManagementApp() {
     otherNarrative: "",
   });
 
+  const getEmptySupervisionVisit = (rnName = "") => ({
+    date: TODAY,
+    rnName,
+    methods: Object.fromEntries(Object.keys(SUPERVISION_METHODS).map((k) => [k, false])),
+    otherNarrative: "",
+    findings: "",
+    outcome: "continue",
+  });
+  const [supervisionVisitForm, setSupervisionVisitForm] = useState(getEmptySupervisionVisit());
+  const [employmentForm, setEmploymentForm] = useState({ status: "active", effectiveDate: TODAY, notes: "" });
+  const [packetEditor, setPacketEditor] = useState(null); // { delegationId, residentSteps, parameters, notifications } as text
+  const [taskEditor, setTaskEditor] = useState(null); // { taskId, label, formTemplate, trainingKeywords, steps, watchFor, actionIfOccurs, requiredCompetencyMethods, justificationQuestions }
+
   const [reauthDays, setReauthDays] = useState(DEFAULT_AUTH_DAYS);
   const [reauthCriteriaUnchanged, setReauthCriteriaUnchanged] = useState(true);
-  const [reauthCriteriaFields, setReauthCriteriaFields] = useState({
-    rnWorkedWithEmployeeLength: "",
-    trainingMethodAndRationale: "",
-    insulinExperienceCommunity: "",
-    insulinExperienceCareer: "",
-    residentWorkAndKnowledge: "",
-    willingnessDescription: "",
-  });
+  // Group reauthorization: every delegation offered in the review, and the ones the RN opted out of.
+  const [reauthGroupIds, setReauthGroupIds] = useState([]);
+  const [reauthOptOutIds, setReauthOptOutIds] = useState([]);
+  const [reauthCriteriaFields, setReauthCriteriaFields] = useState({});
 
   const [rescindReason, setRescindReason] = useState("");
   const [editResidentForm, setEditResidentForm] = useState(null);
@@ -1134,6 +3992,10 @@ function DelegationManagementApp() {
   });
 
   const [editCommunityForm, setEditCommunityForm] = useState(null);
+  const [restoreForm, setRestoreForm] = useState(null); // { fileName, data, errors, warnings, mode }
+  const [surveyArchiveForm, setSurveyArchiveForm] = useState(null); // { communityId, from, to }
+  const [residentImport, setResidentImport] = useState(null); // { fileName, headers, rows, mapping, step }
+  const [medTechImport, setMedTechImport] = useState(null); // same shape as residentImport
 
   // Selection
   const [activeMedTechId, setActiveMedTechId] = useState(null);
@@ -1142,18 +4004,117 @@ function DelegationManagementApp() {
   const [expandedGroups, setExpandedGroups] = useState(new Set());
 
   // Derived
+  const findTask = (taskId, version) => getTaskVersion(taskCatalog, taskId, version);
+  const getResidentReauthorizationBlocker = (d) =>
+    getReauthorizationBlocker(d, residents.find((r) => r.id === d.residentId));
+
+  // The current records a period's packet is built from, before anything is frozen.
+  const getLivePacketSources = (d) => {
+    const resident = residents.find((x) => x.id === d.residentId);
+    return {
+      resident,
+      medTech: medTechs.find((x) => x.id === d.medTechId),
+      community: communities.find((x) => x.id === resident?.communityId),
+      task: findTask(d.taskId, d.taskVersion),
+      customization: d.packetCustomization,
+    };
+  };
+
+  // A frozen period is checked against its snapshot, so edits to the live records never flag what was signed.
+  const getPeriodSignedContent = (d) => {
+    const snap = d.packetSnapshot;
+    if (snap) {
+      return getSignedContent({ resident: snap.resident, medTech: snap.medTech, task: snap.task, packet: snap.packet, delegation: d });
+    }
+    const { resident, medTech, task, customization } = getLivePacketSources(d);
+    return getSignedContent({ resident, medTech, task, packet: task && tailorPacket(task.packet, customization), delegation: d });
+  };
+
+  // Parties whose signature covers content that has since changed; they must re-sign.
+  const getModifiedSigners = (d) =>
+    Object.keys(SIGNING_PARTIES).filter((party) => {
+      const sig = d.signatures?.[party];
+      return sig?.contentHash && contentHashes[d.id] && sig.contentHash !== contentHashes[d.id];
+    });
+
+  const isModifiedAfterSigning = (d) => getModifiedSigners(d).length > 0;
+
+  const currentTasks = useMemo(() => getCurrentTasks(taskCatalog), [taskCatalog]);
   const viewingResident = useMemo(
     () => residents.find((r) => r.id === viewResidentId),
     [residents, viewResidentId]
   );
   const viewingResidentDelegations = useMemo(
-    () => (viewResidentId ? delegations.filter((d) => d.residentId === viewResidentId) : []),
+    () => (viewResidentId ? delegations.filter((d) => d.residentId === viewResidentId && d.status !== "draft") : []),
     [delegations, viewResidentId]
   );
+  const employmentMedTech = useMemo(
+    () => (showEmploymentModal ? medTechs.find((m) => m.id === activeMedTechId) || null : null),
+    [showEmploymentModal, medTechs, activeMedTechId]
+  );
+  const employmentCascade = useMemo(
+    () =>
+      employmentMedTech
+        ? getEmploymentCascade(delegations, employmentMedTech, employmentForm.status, employmentForm.effectiveDate)
+        : null,
+    [delegations, employmentMedTech, employmentForm]
+  );
+  const newDelegationQuestions = useMemo(
+    () => mergeJustificationQuestions(newDelegation.taskIds.map((id) => findTask(id)).filter(Boolean)),
+    [newDelegation.taskIds, taskCatalog]
+  );
+  const newDelegationEligibility = useMemo(
+    () =>
+      checkDelegationEligibility({
+        resident: residents.find((r) => r.id === newDelegation.residentId),
+        medTech: medTechs.find((m) => m.id === newDelegation.medTechId),
+        tasks: newDelegation.taskIds.map((id) => findTask(id)).filter(Boolean),
+        competencyMethods: newDelegation.competencyMethods,
+        today: TODAY,
+      }),
+    [residents, medTechs, taskCatalog, newDelegation, TODAY]
+  );
+  const selectionEligibility = useMemo(
+    () => newDelegationEligibility.filter((i) => getEligibilityStep(i.ruleId) === "selection"),
+    [newDelegationEligibility]
+  );
+  const overlapReview = useMemo(
+    () => delegations.filter((d) => overlapReviewIds.includes(d.id)),
+    [delegations, overlapReviewIds]
+  );
+  const viewingResidentSuspended = useMemo(
+    () => viewingResidentDelegations.filter((d) => d.status === "suspended"),
+    [viewingResidentDelegations]
+  );
   const selectedDelegation = useMemo(
     () => delegations.find((d) => d.id === selectedDelegationId) || null,
     [delegations, selectedDelegationId]
   );
+  // Group members that cannot be reauthorized are listed without a checkbox and are never targeted.
+  const reauthTargets = useMemo(
+    () =>
+      (reauthGroupIds.length
+        ? delegations.filter((d) => reauthGroupIds.includes(d.id) && !reauthOptOutIds.includes(d.id))
+        : [selectedDelegation].filter(Boolean)
+      ).filter((d) => !getResidentReauthorizationBlocker(d)),
+    [delegations, residents, reauthGroupIds, reauthOptOutIds, selectedDelegation]
+  );
+  const reauthQuestions = useMemo(
+    () => mergeJustificationQuestions(reauthTargets.map((d) => findTask(d.taskId)).filter(Boolean)),
+    [reauthTargets, taskCatalog]
+  );
+  const historyDelegation = useMemo(
+    () => delegations.find((d) => d.id === historyDelegationId) || null,
+    [delegations, historyDelegationId]
+  );
+  const historyChain = useMemo(
+    () => (historyDelegation ? getAuthorizationChain(delegations, historyDelegation) : []),
+    [delegations, historyDelegation]
+  );
+  const historyInForce = useMemo(
+    () => (historyAsOf ? findPeriodInForceOn(historyChain, historyAsOf) : null),
+    [historyChain, historyAsOf]
+  );
   const selectedResident = useMemo(
     () => residents.find((r) => r.id === selectedDelegation?.residentId) || null,
     [residents, selectedDelegation]
@@ -1163,8 +4124,8 @@ function DelegationManagementApp() {
     [medTechs, selectedDelegation]
   );
   const selectedTask = useMemo(
-    () => DELEGATION_TASKS.find((t) => t.id === selectedDelegation?.taskId) || null,
-    [selectedDelegation]
+    () => (selectedDelegation ? findTask(selectedDelegation.taskId, selectedDelegation.taskVersion) : null),
+    [selectedDelegation, taskCatalog]
   );
 
   // Filtering
@@ -1210,39 +4171,46 @@ function DelegationManagementApp() {
     return list;
   }, [delegations, residents, medTechs, searchQuery, activeCommunityId]);
 
-  const delegationsToShow = useMemo(() => {
-    if (!delegationStatusFilter) return filteredDelegations;
-    switch (delegationStatusFilter) {
+  // Dashboard cards and the Delegations filter share these predicates, all keyed off the lifecycle state.
+  const matchesDelegationFilter = (d, filter) => {
+    switch (filter) {
+      // Periods modified after signing stop counting as active until re-signed.
       case "active":
-        return filteredDelegations.filter((d) => d.status === "active");
+        return IN_FORCE_STATES.includes(d.status) && !isModifiedAfterSigning(d);
+      case "modifiedAfterSigning":
+        return OPEN_STATES.includes(d.status) && isModifiedAfterSigning(d);
       case "dueSoon":
-        return filteredDelegations.filter(
-          (d) =>
-            d.status === "active" &&
-            daysBetween(TODAY, d.endDate) >= 0 &&
-            daysBetween(TODAY, d.endDate) <= DUE_SOON_DAYS
-        );
+        return d.status === "expiring";
       case "overdue":
-        return filteredDelegations.filter(
-          (d) => d.status === "active" && new Date(d.endDate) < new Date(TODAY)
-        );
-      case "diabeticAssessmentsOverdue":
-        return filteredDelegations.filter((d) => {
-          if (d.status !== "active") return false;
-          const r = residents.find((x) => x.id === d.residentId);
-          const nextDue = getNextAssessmentDueDate(r);
-          return nextDue && new Date(nextDue) < new Date(TODAY);
-        });
+        return d.status === "expired";
+      case "diabeticAssessmentsOverdue": {
+        if (!OPEN_STATES.includes(d.status)) return false;
+        const r = residents.find((x) => x.id === d.residentId);
+        const nextDue = getNextAssessmentDueDate(r);
+        return !!nextDue && new Date(nextDue) < new Date(TODAY);
+      }
+      case "drafts":
+        return d.status === "draft";
       case "unsigned":
-        return filteredDelegations.filter(
-          (d) => d.status === "active" && !(d.signatures?.rn?.signedAt && d.signatures?.mt?.signedAt)
-        );
+        return d.status === "pending_signatures";
+      case "suspended":
+        return d.status === "suspended";
+      case "supervisionOverdue":
+        return isSupervisionOverdue(d, TODAY);
       case "rescinded":
-        return filteredDelegations.filter((d) => d.status === "rescinded");
+        return d.status === "rescinded";
+      case "superseded":
+        return d.status === "superseded";
       default:
-        return filteredDelegations;
+        return true;
     }
-  }, [filteredDelegations, delegationStatusFilter, TODAY]);
+  };
+
+  const delegationsToShow = useMemo(() => {
+    // Replaced periods live in each delegation's history unless asked for explicitly.
+    if (!delegationStatusFilter) return filteredDelegations.filter((d) => d.status !== "superseded" && d.status !== "draft");
+    return filteredDelegations.filter((d) => matchesDelegationFilter(d, delegationStatusFilter));
+  }, [filteredDelegations, delegationStatusFilter, residents, TODAY, contentHashes]);
 
   // Group delegations
   const groupedDelegations = useMemo(() => {
@@ -1265,27 +4233,37 @@ function DelegationManagementApp() {
   };
 
   const stats = useMemo(() => {
-    const active = filteredDelegations.filter((d) => d.status === "active").length;
-    const dueSoon = filteredDelegations.filter(
-      (d) =>
-        d.status === "active" &&
-        daysBetween(TODAY, d.endDate) >= 0 &&
-        daysBetween(TODAY, d.endDate) <= DUE_SOON_DAYS
-    ).length;
-    const overdue = filteredDelegations.filter(
-      (d) => d.status === "active" && new Date(d.endDate) < new Date(TODAY)
-    ).length;
+    const active = filteredDelegations.filter((d) => matchesDelegationFilter(d, "active")).length;
+    const dueSoon = filteredDelegations.filter((d) => matchesDelegationFilter(d, "dueSoon")).length;
+    const overdue = filteredDelegations.filter((d) => matchesDelegationFilter(d, "overdue")).length;
     const diabeticAssessmentsOverdue = residents
       .filter((r) => activeCommunityId === "all" || r.communityId === activeCommunityId)
       .filter((r) => {
         const nextDue = getNextAssessmentDueDate(r);
         return nextDue && new Date(nextDue) < new Date(TODAY);
       }).length;
-    const unsigned = filteredDelegations.filter(
-      (d) => d.status === "active" && !(d.signatures?.rn?.signedAt && d.signatures?.mt?.signedAt)
-    ).length;
-    return { active, dueSoon, overdue, diabeticAssessmentsOverdue, unsigned, total: filteredDelegations.length };
-  }, [filteredDelegations, TODAY, residents, activeCommunityId]);
+    const unsignedList = filteredDelegations.filter((d) => matchesDelegationFilter(d, "unsigned"));
+    // A party that signed content since changed must sign again; a period signed by both that is still pending
+    // (say, its hashes are not computed yet) counts as awaiting both, so the buckets always add up to the total.
+    const signersNeeded = (d) => {
+      const needed = [...getPendingSigners(d), ...getModifiedSigners(d)];
+      return needed.length ? Object.keys(SIGNING_PARTIES).filter((p) => needed.includes(p)) : Object.keys(SIGNING_PARTIES);
+    };
+    const awaiting = (parties) => unsignedList.filter((d) => signersNeeded(d).join() === parties.join()).length;
+    const supervisionOverdue = filteredDelegations.filter((d) => matchesDelegationFilter(d, "supervisionOverdue")).length;
+    const modifiedAfterSigning = filteredDelegations.filter((d) => matchesDelegationFilter(d, "modifiedAfterSigning")).length;
+    return {
+      active,
+      dueSoon,
+      overdue,
+      diabeticAssessmentsOverdue,
+      unsigned: unsignedList.length,
+      unsignedBreakdown: { rn: awaiting(["rn"]), mt: awaiting(["mt"]), both: awaiting(["rn", "mt"]) },
+      supervisionOverdue,
+      modifiedAfterSigning,
+      total: filteredDelegations.length,
+    };
+  }, [filteredDelegations, TODAY, residents, activeCommunityId, contentHashes]);
 
   // ---- Prefill justification fields from Med-Tech profile (Add Med-Tech menu) ----
   useEffect(() => {
@@ -1335,6 +4313,109 @@ function DelegationManagementApp() {
     setShowAddResident(false);
   };
 
+  const importDefaultCommunityId = activeCommunityId === "all" ? communities[0]?.id : activeCommunityId;
+
+  const residentImportPreview = useMemo(() => {
+    if (!residentImport || residentImport.step !== "preview") return [];
+    return buildResidentImportPreview({
+      rows: residentImport.rows,
+      mapping: residentImport.mapping,
+      residents,
+      communities,
+      defaultCommunityId: importDefaultCommunityId,
+    });
+  }, [residentImport, residents, communities, importDefaultCommunityId]);
+
+  const openResidentImport = () => {
+    setResidentImport(null);
+    setShowResidentImport(true);
+  };
+
+  const handleResidentCsvSelected = async (file) => {
+    if (!file) return;
+    const [headers = [], ...rows] = parseCSV(await readFileAsText(file));
+    if (!rows.length) return alert("No data rows found in this file.");
+    setResidentImport({
+      fileName: file.name,
+      headers,
+      rows,
+      mapping: guessColumnMapping(headers, RESIDENT_IMPORT_FIELDS),
+      step: "map",
+    });
+  };
+
+  const previewResidentImport = () => {
+    const missing = RESIDENT_IMPORT_FIELDS.filter((f) => f.required && !(residentImport.mapping[f.key] >= 0));
+    if (missing.length) return alert(`Map a column for: ${missing.map((f) => f.label).join(", ")}`);
+    setResidentImport((p) => ({ ...p, step: "preview" }));
+  };
+
+  const commitResidentImport = () => {
+    const ready = residentImportPreview.filter((row) => !row.errors.length && !row.duplicate);
+    if (!ready.length) return alert("No valid, non-duplicate rows to import.");
+    setResidents((p) => [
+      ...p,
+      ...ready.map((row) => ({
+        id: uid("res"),
+        ...row.record,
+        assessmentStatus: "Pending",
+        assessments: [],
+      })),
+    ]);
+    setShowResidentImport(false);
+    setResidentImport(null);
+  };
+
+  const medTechImportPreview = useMemo(() => {
+    if (!medTechImport || medTechImport.step !== "preview") return [];
+    return buildMedTechImportPreview({
+      rows: medTechImport.rows,
+      mapping: medTechImport.mapping,
+      medTechs,
+      communities,
+      defaultCommunityId: importDefaultCommunityId,
+    });
+  }, [medTechImport, medTechs, communities, importDefaultCommunityId]);
+
+  const openMedTechImport = () => {
+    setMedTechImport(null);
+    setShowMedTechImport(true);
+  };
+
+  const handleMedTechCsvSelected = async (file) => {
+    if (!file) return;
+    const [headers = [], ...rows] = parseCSV(await readFileAsText(file));
+    if (!rows.length) return alert("No data rows found in this file.");
+    setMedTechImport({
+      fileName: file.name,
+      headers,
+      rows,
+      mapping: guessColumnMapping(headers, MEDTECH_IMPORT_FIELDS),
+      step: "map",
+    });
+  };
+
+  const previewMedTechImport = () => {
+    const missing = MEDTECH_IMPORT_FIELDS.filter((f) => f.required && !(medTechImport.mapping[f.key] >= 0));
+    if (missing.length) return alert(`Map a column for: ${missing.map((f) => f.label).join(", ")}`);
+    setMedTechImport((p) => ({ ...p, step: "preview" }));
+  };
+
+  const commitMedTechImport = () => {
+    const ready = medTechImportPreview.filter((g) => !g.errors.length && !g.duplicate);
+    if (!ready.length) return alert("No valid, non-duplicate med-techs to import.");
+    setMedTechs((p) => [
+      ...p,
+      ...ready.map((g) => ({
+        id: uid("mt"),
+        ...g.record,
+        trainingTranscript: g.record.trainingTranscript.map((t) => ({ id: uid("tr"), ...t })),
+      })),
+    ]);
+    setShowMedTechImport(false);
+    setMedTechImport(null);
+  };
+
   const handleAddMedTech = () => {
     if (!medTechForm.name) return alert("Name required");
 
@@ -1372,6 +4453,105 @@ function DelegationManagementApp() {
     setShowAddMedTech(false);
   };
 
+  const openEmploymentModal = (id) => {
+    const m = medTechs.find((x) => x.id === id);
+    setActiveMedTechId(id);
+    setEmploymentForm({ status: getEmploymentStatus(m), effectiveDate: TODAY, notes: "" });
+    setShowEmploymentModal(true);
+  };
+
+  const saveEmploymentStatus = () => {
+    const m = employmentMedTech;
+    const f = employmentForm;
+    if (!m) return;
+    if (f.status === getEmploymentStatus(m)) return alert(`${m.name} is already ${EMPLOYMENT_STATUSES[f.status].label}.`);
+    if (!f.effectiveDate) return alert("Effective date is required");
+    if (f.effectiveDate > TODAY) return alert("Effective date cannot be in the future; record the change once it takes effect.");
+
+    const { action, reason, affected } = employmentCascade;
+    const ids = affected.map((d) => d.id);
+    if (ids.length) {
+      const verb = action === "RESCINDED" ? "rescind" : "suspend";
+      if (!window.confirm(`This will ${verb} ${ids.length} delegation(s) for ${m.name}. Continue?`)) return;
+      const fullReason = f.notes.trim() ? `${reason}: ${f.notes.trim()}` : reason;
+      setDelegations((p) =>
+        action === "RESCINDED" ? rescindDelegations(p, ids, fullReason, TODAY) : suspendDelegations(p, ids, fullReason, "employment")
+      );
+    }
+
+    const entry = {
+      status: f.status,
+      effectiveDate: f.effectiveDate,
+      notes: f.notes.trim(),
+      recordedAt: new Date().toISOString(),
+      affectedDelegationIds: ids,
+    };
+    setMedTechs((p) =>
+      p.map((x) =>
+        x.id === m.id
+          ? {
+              ...x,
+              employment: { status: f.status, effectiveDate: f.effectiveDate },
+              employmentHistory: [...(x.employmentHistory || []), entry],
+            }
+          : x
+      )
+    );
+    setShowEmploymentModal(false);
+    if (f.status === "active") {
+      const suspended = delegations.filter((d) => d.medTechId === m.id && d.status === "suspended").length;
+      if (suspended) alert(`${suspended} suspended delegation(s) for ${m.name} still need the RN to re-validate or rescind them.`);
+    }
+  };
+
+  const openTaskEditor = (taskId) => {
+    const t = taskId ? findTask(taskId) : null;
+    setTaskEditor({
+      taskId,
+      label: t?.label || "",
+      formTemplate: t?.formTemplate || "",
+      trainingKeywords: (t?.trainingKeywords || []).join(", "),
+      steps: (t?.packet.steps || []).join("\n"),
+      watchFor: (t?.packet.watchFor || []).join("\n"),
+      actionIfOccurs: (t?.packet.actionIfOccurs || []).join("\n"),
+      requiredCompetencyMethods: t?.requiredCompetencyMethods || [],
+      justificationQuestions: t ? getJustificationQuestions(t) : [],
+    });
+  };
+
+  const saveTaskEditor = () => {
+    const f = taskEditor;
+    const lines = (text) => text.split("\n").map((l) => l.trim()).filter(Boolean);
+    const content = {
+      label: f.label.trim(),
+      formTemplate: f.formTemplate.trim(),
+      trainingKeywords: f.trainingKeywords.split(",").map((k) => k.trim().toLowerCase()).filter(Boolean),
+      steps: lines(f.steps),
+      watchFor: lines(f.watchFor),
+      actionIfOccurs: lines(f.actionIfOccurs),
+      requiredCompetencyMethods: f.requiredCompetencyMethods,
+      justificationQuestions: f.justificationQuestions
+        .map((q) => ({ ...q, label: q.label.trim() }))
+        .filter((q) => q.label),
+    };
+    const errors = [];
+    if (!content.label) errors.push("Label is required");
+    if (!content.steps.length) errors.push("Add at least one step");
+    if (!content.justificationQuestions.length) errors.push("Add at least one justification question");
+    if (currentTasks.some((t) => t.id !== f.taskId && t.label.toLowerCase() === content.label.toLowerCase())) {
+      errors.push("Another task already has this label");
+    }
+    if (errors.length) return alert(errors.join("\n"));
+
+    const current = f.taskId ? findTask(f.taskId) : null;
+    if (current) {
+      const { version, createdAt, ...latest } = taskCatalog.find((t) => t.id === f.taskId).versions.slice(-1)[0];
+      if (JSON.stringify({ ...latest, ...content }) === JSON.stringify(latest)) return alert("No changes to save.");
+    }
+    setTaskCatalog((p) => saveTaskVersion(p, f.taskId, content));
+    setTaskEditor(null);
+  };
+
   const handleLogTraining = () => {
     if (logTrainingForm.selectedMedTechIds.length === 0) return alert("Select at least one Med-Tech.");
     if (!logTrainingForm.topic) return alert("Topic required");
@@ -1393,105 +4573,300 @@ function DelegationManagementApp() {
         return m;
       })
     );
-    setShowLogTrainingModal(false);
+    setShowLogTrainingModal(false);
+  };
+
+  const resetNewDelegation = () => setNewDelegation(getEmptyNewDelegation());
+
+  // Starts a blank wizard, or resumes a saved draft where the RN left off.
+  const openNewDelegation = (draft = null) => {
+    setNewDelegation(draft ? { ...getEmptyNewDelegation(), ...draft.draftForm } : getEmptyNewDelegation());
+    setNewDelegationStep(draft ? draft.draftStep || 0 : 0);
+    setNewDelegationDraftId(draft?.id || null);
+    setFormErrors([]);
+    setShowNewDelegation(true);
+  };
+
+  const closeNewDelegation = () => {
+    const draft = delegations.find((d) => d.id === newDelegationDraftId);
+    const saved = draft ? { ...getEmptyNewDelegation(), ...draft.draftForm } : getEmptyNewDelegation();
+    if (
+      JSON.stringify(saved) !== JSON.stringify(newDelegation) &&
+      !window.confirm("Discard the changes made since this delegation was last saved? Choose Cancel to keep editing.")
+    ) {
+      return;
+    }
+    setShowNewDelegation(false);
+    resetNewDelegation();
+    setFormErrors([]);
+  };
+
+  const getNewDelegationStepErrors = (stepId) => {
+    const errors = [];
+    if (stepId === "selection") {
+      if (!newDelegation.residentId) errors.push("Resident is required");
+      if (!newDelegation.medTechId) errors.push("Med-Tech is required");
+      if (!newDelegation.taskIds.length) errors.push("Select at least one task");
+    }
+    // Require stable/predictable attestation for the justification statement
+    if (stepId === "checklist" && !newDelegation.checklist.stableCondition) {
+      errors.push("Resident must be marked Stable & Predictable");
+    }
+    if (stepId === "justification") {
+      const jf = newDelegation.justification || {};
+      newDelegationQuestions.forEach((q) => {
+        if (!jf[q.key] || !jf[q.key].trim()) errors.push(`Justification required: ${q.label}`);
+      });
+    }
+    newDelegationEligibility
+      .filter((i) => i.severity === "block" && getEligibilityStep(i.ruleId) === stepId)
+      .forEach((i) => errors.push(`Not eligible: ${i.message}`));
+    return errors;
+  };
+
+  const goToNewDelegationStep = (index) => {
+    if (index > newDelegationStep) {
+      const errors = getNewDelegationStepErrors(NEW_DELEGATION_STEPS[newDelegationStep].id);
+      setFormErrors(errors);
+      if (errors.length) return;
+    } else {
+      setFormErrors([]);
+    }
+    setNewDelegationStep(index);
+  };
+
+  // A draft is one record holding the whole form until it is submitted; it authorizes nothing.
+  const saveNewDelegationDraft = () => {
+    if (!newDelegation.residentId || !newDelegation.medTechId) {
+      return setFormErrors(["Choose a resident and med-tech before saving a draft"]);
+    }
+    const at = new Date().toISOString();
+    const fields = {
+      residentId: newDelegation.residentId,
+      medTechId: newDelegation.medTechId,
+      taskId: newDelegation.taskIds[0] || "",
+      draftForm: newDelegation,
+      draftStep: newDelegationStep,
+      draftSavedAt: at,
+    };
+    const detail = `Saved at step ${NEW_DELEGATION_STEPS[newDelegationStep].label}`;
+    setDelegations((p) =>
+      p.some((d) => d.id === newDelegationDraftId)
+        ? p.map((d) =>
+            d.id === newDelegationDraftId
+              ? { ...d, ...fields, audit: [...(d.audit || []), { at, action: "DRAFT_SAVED", detail }] }
+              : d
+          )
+        : [
+            {
+              id: uid("del"),
+              status: "draft",
+              ...fields,
+              supervisionHistory: [],
+              signatures: { rn: null, mt: null },
+              audit: [{ at, action: "DRAFT_STARTED", detail }],
+            },
+            ...p,
+          ]
+    );
+    setShowNewDelegation(false);
+    resetNewDelegation();
+    setFormErrors([]);
   };
 
-  const resetNewDelegation = () => setNewDelegation(getEmptyNewDelegation());
+  const discardDraft = (id) => {
+    if (!window.confirm("Discard this draft? It has not authorized anything and cannot be recovered.")) return;
+    setDelegations((p) => p.filter((d) => d.id !== id));
+  };
 
   const createDelegation = () => {
-    const errors = [];
-
-    if (!newDelegation.residentId) errors.push("Resident is required");
-    if (!newDelegation.medTechId) errors.push("Med-Tech is required");
-    if (!newDelegation.taskIds.length) errors.push("Select at least one task");
-
-    const authDays = clampNumber(Number(newDelegation.authDays || DEFAULT_AUTH_DAYS), 1, MAX_AUTH_DAYS);
-
-    // Require stable/predictable attestation for the justification statement
-    if (!newDelegation.checklist.stableCondition) errors.push("Resident must be marked Stable & Predictable");
+    const failing = NEW_DELEGATION_STEPS.findIndex((s) => getNewDelegationStepErrors(s.id).length);
+    if (failing !== -1) {
+      setNewDelegationStep(failing);
+      return setFormErrors(getNewDelegationStepErrors(NEW_DELEGATION_STEPS[failing].id));
+    }
 
-    const jf = newDelegation.justification || {};
-    const requiredFields = [
-      ["rnWorkedWithEmployeeLength", "Length of time RN has worked with employee"],
-      ["trainingMethodAndRationale", "Method of training/delegating + rationale"],
-      ["insulinExperienceCommunity", "Insulin experience within your community"],
-      ["insulinExperienceCareer", "Insulin experience total within career"],
-      ["residentWorkAndKnowledge", "Worked with resident + individualized signs/symptoms knowledge"],
-      ["willingnessDescription", "Willingness of UAP to conduct delegated task"],
-    ];
-    requiredFields.forEach(([k, label]) => {
-      if (!jf[k] || !jf[k].trim()) errors.push(`Justification required: ${label}`);
-    });
+    const warnings = newDelegationEligibility.filter((i) => i.severity === "warn").map((i) => i.message);
+    if (warnings.length && !window.confirm(`Eligibility warnings:\n\n${warnings.join("\n")}\n\nCreate the delegation anyway?`)) {
+      return;
+    }
 
-    if (errors.length) {
-      setFormErrors(errors);
-      return alert(errors.join("\n"));
+    const overlaps = newDelegation.taskIds.flatMap((taskId) =>
+      findOverlappingDelegations(delegations, { residentId: newDelegation.residentId, medTechId: newDelegation.medTechId, taskId })
+    );
+    if (overlaps.length) {
+      const stuck = overlaps.filter((d) => !canTransition(d, "SUPERSEDED"));
+      if (stuck.length) {
+        return alert(
+          `This med-tech already has a ${stuck.map((d) => `${getDelegationDisplayStatus(d)} ${findTask(d.taskId, d.taskVersion)?.label || d.taskId}`).join(", ")} delegation for this resident.\nComplete or rescind it before creating another.`
+        );
+      }
+      setOverlapReviewIds(overlaps.map((d) => d.id));
+      return;
     }
+    saveNewDelegations([]);
+  };
 
+  // supersedeIds: existing delegations the RN chose to replace; each is retired when its replacement is signed.
+  // taskIds: the request's tasks to create, all of them unless some were dropped during overlap review.
+  const saveNewDelegations = (supersedeIds, taskIds = newDelegation.taskIds) => {
+    const authDays = clampNumber(Number(newDelegation.authDays || DEFAULT_AUTH_DAYS), 1, MAX_AUTH_DAYS);
+    const jf = newDelegation.justification || {};
+    const warnings = newDelegationEligibility.filter((i) => i.severity === "warn").map((i) => i.message);
     const orgRNName = activeCommunity?.rn?.name || "";
-    const authText = composeDelegationJustificationText({
-      rnName: orgRNName,
-      authDays,
-      stablePredictable: !!newDelegation.checklist.stableCondition,
-      fields: jf,
-    });
 
     const startDate = TODAY;
     const endDate = addDays(startDate, authDays);
 
     const createdAt = new Date().toISOString();
-    const news = newDelegation.taskIds.map((tid) => ({
-      id: uid("del"),
-      residentId: newDelegation.residentId,
-      medTechId: newDelegation.medTechId,
-      taskId: tid,
-      startDate,
-      endDate,
-      authDays,
-      status: "active",
-      checklist: newDelegation.checklist,
-      competencyMethods: newDelegation.competencyMethods,
-      justification: jf,
-      authJustification: authText,
-      delegatingRNName: orgRNName,
-      supervisionDueDate: addDays(startDate, INITIAL_REEVAL_DUE_DAYS),
-      signatures: { rn: null, mt: null },
-      audit: [{ at: createdAt, action: "CREATED", detail: `Initial Auth ${authDays} days` }],
-    }));
+    const news = taskIds.map((tid) => {
+      const supersedes = delegations.filter((d) => supersedeIds.includes(d.id) && d.taskId === tid).map((d) => d.id);
+      const task = findTask(tid);
+      // Each delegation keeps only the answers its own task asked for.
+      const questions = getJustificationQuestions(task);
+      const justification = pickTaskJustification(jf, task, newDelegationQuestions);
+      return {
+        id: uid("del"),
+        residentId: newDelegation.residentId,
+        medTechId: newDelegation.medTechId,
+        taskId: tid,
+        taskVersion: task.version,
+        startDate,
+        endDate,
+        authDays,
+        status: "pending_signatures",
+        checklist: newDelegation.checklist,
+        competencyMethods: newDelegation.competencyMethods,
+        justification,
+        authJustification: composeDelegationJustificationText({
+          rnName: orgRNName,
+          authDays,
+          stablePredictable: !!newDelegation.checklist.stableCondition,
+          fields: justification,
+          questions,
+        }),
+        delegatingRNName: orgRNName,
+        supervisionHistory: [],
+        signatures: { rn: null, mt: null },
+        audit: [
+          { at: createdAt, action: "CREATED", detail: `Initial Auth ${authDays} days` },
+          ...(warnings.length ? [{ at: createdAt, action: "ELIGIBILITY_WARNINGS_ACKNOWLEDGED", detail: warnings.join(" | ") }] : []),
+          ...(supersedes.length
+            ? [{ at: createdAt, action: "OVERLAP_SUPERSEDE_CHOSEN", detail: `Will supersede ${supersedes.join(", ")} once signed` }]
+            : []),
+        ],
+        supersedesDelegationIds: supersedes,
+      };
+    });
 
-    setDelegations((p) => [...news, ...p]);
+    // A resumed draft becomes the first task's delegation so its history carries over.
+    const draft = delegations.find((d) => d.id === newDelegationDraftId && d.status === "draft");
+    const submitted = draft
+      ? [
+          transitionDelegation(
+            { ...news[0], id: draft.id, status: "draft", audit: [...(draft.audit || []), ...news[0].audit] },
+            "SUBMITTED_FOR_SIGNATURE",
+            { detail: "Draft completed", at: createdAt }
+          ),
+          ...news.slice(1),
+        ]
+      : news;
+
+    const noted = delegations
+      .filter((d) => supersedeIds.includes(d.id))
+      .map((d) => {
+        const replacement = submitted.find((n) => n.supersedesDelegationIds.includes(d.id));
+        return {
+          ...d,
+          audit: [
+            ...(d.audit || []),
+            {
+              at: createdAt,
+              action: "OVERLAP_SUPERSEDE_CHOSEN",
+              detail: `RN chose to supersede with new delegation ${replacement.id}; stays in force until it is signed`,
+            },
+          ],
+        };
+      });
+    setDelegations((p) => [
+      ...submitted,
+      ...p.filter((d) => d.id !== draft?.id).map((d) => noted.find((x) => x.id === d.id) || d),
+    ]);
+    setOverlapReviewIds([]);
     setShowNewDelegation(false);
     resetNewDelegation();
     setFormErrors([]);
   };
 
-  const confirmRescind = () => {
-    if (!rescindReason) return alert("Reason required");
+  // The duplicate task is dropped and the RN continues in the existing delegation's reauthorization flow instead;
+  // tasks in the request that overlap nothing are still created.
+  const reauthorizeInsteadOfDuplicate = (id) => {
+    const d = delegations.find((x) => x.id === id);
+    const blocker = d && getResidentReauthorizationBlocker(d);
+    if (blocker) return alert(blocker);
+    const overlappingTaskIds = new Set(overlapReview.map((x) => x.taskId));
+    const keptTaskIds = newDelegation.taskIds.filter((t) => !overlappingTaskIds.has(t));
+    const droppedTaskIds = newDelegation.taskIds.filter((t) => t !== d.taskId && overlappingTaskIds.has(t));
+    if (
+      droppedTaskIds.length &&
+      !window.confirm(
+        `${droppedTaskIds.map((t) => findTask(t)?.label || t).join(", ")} also overlap existing delegations and will be dropped from this request. Continue?`
+      )
+    ) {
+      return;
+    }
+    const at = new Date().toISOString();
     setDelegations((p) =>
-      p.map((d) =>
-        d.id === selectedDelegationId
-          ? { ...d, status: "rescinded", rescindReason, rescindDate: TODAY }
-          : d
+      p.map((x) =>
+        x.id === id
+          ? {
+              ...x,
+              audit: [
+                ...(x.audit || []),
+                { at, action: "OVERLAP_REAUTHORIZE_CHOSEN", detail: "Duplicate new delegation request replaced by reauthorizing this one" },
+              ],
+            }
+          : x
       )
     );
+    if (keptTaskIds.length) {
+      saveNewDelegations([], keptTaskIds);
+    } else {
+      setOverlapReviewIds([]);
+      setShowNewDelegation(false);
+      resetNewDelegation();
+      setFormErrors([]);
+    }
+    openReauthModal(id);
+  };
+
+  const confirmRescind = () => {
+    if (!rescindReason) return alert("Reason required");
+    const blocker = selectedDelegation && getTransitionBlocker(selectedDelegation, "RESCINDED");
+    if (blocker) return alert(blocker);
+    setDelegations((p) => rescindDelegations(p, [selectedDelegationId], rescindReason, TODAY));
     setShowRescindModal(false);
   };
 
-  const openReauthModal = (id) => {
+  const openReauthModal = (id, groupIds = []) => {
     setSelectedDelegationId(id);
+    setReauthGroupIds(groupIds);
+    setReauthOptOutIds([]);
     const d = delegations.find((x) => x.id === id);
     const existing = d?.justification || {};
 
     setReauthDays(DEFAULT_AUTH_DAYS);
     setReauthCriteriaUnchanged(true);
-    setReauthCriteriaFields({
-      rnWorkedWithEmployeeLength: existing.rnWorkedWithEmployeeLength || "",
-      trainingMethodAndRationale: existing.trainingMethodAndRationale || "",
-      insulinExperienceCommunity: existing.insulinExperienceCommunity || "",
-      insulinExperienceCareer: existing.insulinExperienceCareer || "",
-      residentWorkAndKnowledge: existing.residentWorkAndKnowledge || "",
-      willingnessDescription: existing.willingnessDescription || "",
-    });
+    // Group members share one form, so answers already given by any of them seed it; a question
+    // worded differently per task (mergeJustificationQuestions) is seeded from that task's own answer.
+    const seeded = delegations
+      .filter((x) => x.id === id || groupIds.includes(x.id))
+      .reduce((acc, x) => {
+        const own = x.justification || {};
+        const perTask = Object.fromEntries(Object.entries(own).map(([k, v]) => [`${k}.${x.taskId}`, v]));
+        return { ...own, ...perTask, ...acc };
+      }, { ...existing });
+    setReauthCriteriaFields(seeded);
     setSupervisionData({
       methods: {
         supervision: false,
@@ -1510,112 +4885,297 @@ function DelegationManagementApp() {
     setShowReauthModal(true);
   };
 
+  // One review for every task a med-tech holds for a resident; defaults come from the first that can be reauthorized.
+  const openGroupReauthModal = (group) => {
+    const first = group.find((d) => !getResidentReauthorizationBlocker(d));
+    if (!first) return alert("None of these delegations can be reauthorized right now.");
+    openReauthModal(
+      first.id,
+      group.map((d) => d.id)
+    );
+  };
+
+  // Reauthorizing never edits the current period: it opens a new period record (own justification,
+  // signatures and packet) that replaces the current one once both parties sign it.
   const confirmReauth = () => {
     const authDays = clampNumber(Number(reauthDays || DEFAULT_AUTH_DAYS), 1, MAX_AUTH_DAYS);
+    const targets = reauthTargets;
+    if (!targets.length) {
+      return alert(
+        reauthGroupIds.length
+          ? "Select at least one delegation to reauthorize."
+          : (selectedDelegation && getResidentReauthorizationBlocker(selectedDelegation)) || "Select a delegation to reauthorize."
+      );
+    }
+    if (targets.some((d) => !isMedTechEmployed(medTechs.find((m) => m.id === d.medTechId)))) {
+      return alert("This med-tech is not currently active and cannot be reauthorized.");
+    }
 
-    setDelegations((p) =>
-      p.map((d) => {
-        if (d.id !== selectedDelegationId) return d;
-
-        const fieldsToUse = reauthCriteriaUnchanged ? (d.justification || {}) : reauthCriteriaFields;
+    // Check if any observation data was entered (any method checked or narrative text)
+    const hasObservationData =
+      Object.values(supervisionData.methods).some((v) => v === true) ||
+      !!supervisionData.otherNarrative;
 
-        // If user chose "unchanged", we still regenerate the statement so the days reflect the new authorization length.
-        const orgRNName = activeCommunity?.rn?.name || "";
-        const authText = composeDelegationJustificationText({
-          rnName: d.delegatingRNName || orgRNName,
-          authDays,
-          stablePredictable: !!d?.checklist?.stableCondition,
-          fields: fieldsToUse,
-        });
+    const obsLog = hasObservationData
+      ? {
+          date: TODAY,
+          methods: supervisionData.methods,
+          otherNarrative: supervisionData.otherNarrative,
+        }
+      : null;
 
-        // Check if any observation data was entered (any method checked or narrative text)
-        const hasObservationData =
-          Object.values(supervisionData.methods).some((v) => v === true) ||
-          !!supervisionData.otherNarrative;
+    const obsMethods = obsLog
+      ? Object.keys(obsLog.methods || {}).filter((k) => obsLog.methods[k])
+      : [];
+
+    // The current task content may ask questions the previous period never answered.
+    const missingAnswers = targets.filter((current) => {
+      const task = findTask(current.taskId);
+      const answers = reauthCriteriaUnchanged
+        ? current.justification || {}
+        : pickTaskJustification(reauthCriteriaFields, task, reauthQuestions);
+      return getJustificationQuestions(task).some((q) => !String(answers[q.key] || "").trim());
+    });
+    if (missingAnswers.length) {
+      return alert(
+        reauthCriteriaUnchanged
+          ? "The current task content asks justification questions this delegation has not answered. Choose \"Needs corrections\" and complete them."
+          : "Please answer every justification question."
+      );
+    }
 
-        const obsLog = hasObservationData
-          ? {
-              date: TODAY,
-              methods: supervisionData.methods,
-              otherNarrative: supervisionData.otherNarrative,
-            }
-          : null;
+    const now = new Date().toISOString();
+    const orgRNName = activeCommunity?.rn?.name || "";
+    const groupNote = reauthGroupIds.length ? ` · group reauthorization of ${targets.length} task(s)` : "";
+    const nextPeriods = targets.map((current) => {
+      const task = findTask(current.taskId);
+      const questions = getJustificationQuestions(task);
+      const fieldsToUse = reauthCriteriaUnchanged
+        ? pickJustification(current.justification, questions)
+        : pickTaskJustification(reauthCriteriaFields, task, reauthQuestions);
+
+      // If user chose "unchanged", we still regenerate the statement so the days reflect the new authorization length.
+      const authText = composeDelegationJustificationText({
+        rnName: current.delegatingRNName || orgRNName,
+        authDays,
+        stablePredictable: !!current?.checklist?.stableCondition,
+        fields: fieldsToUse,
+        questions,
+      });
 
-        const obsMethods = obsLog
-          ? Object.keys(obsLog.methods || {}).filter((k) => obsLog.methods[k])
-          : [];
+      return {
+        ...pickDelegationBasis(current),
+        // A new period is a new authorization, so it is made against the task's current content.
+        taskVersion: findTask(current.taskId)?.version || 1,
+        id: uid("del"),
+        startDate: TODAY,
+        endDate: addDays(TODAY, authDays),
+        authDays,
+        status: "pending_signatures",
+        justification: fieldsToUse,
+        authJustification: authText,
+        delegatingRNName: current.delegatingRNName,
+        supervisionHistory: [],
+        signatures: { rn: null, mt: null },
+        previousDelegationId: current.id,
+        periodNumber: getPeriodNumber(current) + 1,
+        ...(obsLog ? { personalObservations: [obsLog] } : {}),
+        audit: [
+          {
+            at: now,
+            action: "CREATED",
+            detail: `Reauthorization of period ${getPeriodNumber(current)}: ${authDays} days (${
+              reauthCriteriaUnchanged ? "criteria unchanged" : "criteria updated"
+            })${groupNote}`,
+          },
+          ...(obsLog
+            ? [
+                {
+                  at: now,
+                  action: "PERSONAL_OBSERVATION_LOGGED",
+                  detail: obsMethods.length
+                    ? `Logged with reauthorization: ${obsMethods.join(", ")}`
+                    : "Logged with reauthorization",
+                },
+              ]
+            : []),
+        ],
+      };
+    });
 
+    setDelegations((p) => [
+      ...nextPeriods,
+      ...p.map((d) => {
+        const next = nextPeriods.find((n) => n.previousDelegationId === d.id);
+        if (!next) return d;
         return {
           ...d,
-          endDate: addDays(TODAY, authDays),
-          authDays,
-          supervisionDueDate: addDays(TODAY, Math.min(authDays, MAX_AUTH_DAYS)),
-          justification: fieldsToUse,
-          authJustification: authText,
-          ...(obsLog ? { personalObservations: [...(d.personalObservations || []), obsLog] } : {}),
+          pendingReauthorizationId: next.id,
           audit: [
             ...(d.audit || []),
-            {
-              at: new Date().toISOString(),
-              action: "REAUTHORIZED",
-              detail: reauthCriteriaUnchanged
-                ? `Extended ${authDays} days (criteria unchanged)`
-                : `Extended ${authDays} days (criteria updated)`,
-            },
-            ...(obsLog
-              ? [
-                  {
-                    at: new Date().toISOString(),
-                    action: "PERSONAL_OBSERVATION_LOGGED",
-                    detail: obsMethods.length
-                      ? `Logged with reauthorization: ${obsMethods.join(", ")}`
-                      : "Logged with reauthorization",
-                  },
-                ]
-              : []),
+            { at: now, action: "REAUTHORIZATION_STARTED", detail: `New period ${next.id} awaiting signatures${groupNote}` },
           ],
         };
-      })
-    );
+      }),
+    ]);
 
     setShowReauthModal(false);
+    setReauthGroupIds([]);
   };
 
   const saveSupervisionLog = () => {
+    const f = supervisionVisitForm;
+    if (!selectedDelegation) return;
+    const errors = [];
+    if (!f.date) errors.push("Visit date is required");
+    if (f.date > TODAY) errors.push("Visit date cannot be in the future");
+    if (!f.rnName.trim()) errors.push("RN name is required");
+    if (!Object.values(f.methods).some(Boolean)) errors.push("Select at least one observation method");
+    if (!f.findings.trim()) errors.push("Findings are required");
+    if (f.outcome === "rescind") {
+      const blocker = getTransitionBlocker(selectedDelegation, "RESCINDED");
+      if (blocker) errors.push(blocker);
+    }
+    if (errors.length) return alert(errors.join("\n"));
+    if (f.outcome === "rescind" && !window.confirm("This visit will rescind the delegation. Continue?")) return;
+
+    const visit = {
+      id: uid("sv"),
+      date: f.date,
+      rnName: f.rnName.trim(),
+      methods: f.methods,
+      otherNarrative: f.methods.other ? f.otherNarrative : "",
+      findings: f.findings.trim(),
+      outcome: f.outcome,
+      loggedAt: new Date().toISOString(),
+    };
+    const methodLabels = Object.keys(SUPERVISION_METHODS).filter((k) => f.methods[k]).map((k) => SUPERVISION_METHODS[k]);
+
     setDelegations((p) =>
-      p.map((d) =>
-        d.id === selectedDelegationId
-          ? { ...d, supervisionDueDate: addDays(TODAY, MAX_AUTH_DAYS) }
-          : d
-      )
+      p.map((d) => {
+        if (d.id !== selectedDelegationId) return d;
+        const logged = {
+          ...d,
+          supervisionHistory: [...(d.supervisionHistory || []), visit],
+          audit: [
+            ...(d.audit || []),
+            {
+              at: visit.loggedAt,
+              action: "SUPERVISION_VISIT",
+              detail: `${formatDate(visit.date)} by ${visit.rnName}: ${SUPERVISION_OUTCOMES[visit.outcome].label} (${methodLabels.join(", ")})`,
+            },
+          ],
+        };
+        if (visit.outcome !== "rescind") return logged;
+        const reason = `Supervision visit ${visit.date}: ${visit.findings}`;
+        return transitionDelegation(logged, "RESCINDED", {
+          detail: reason,
+          patch: { rescindReason: reason, rescindDate: TODAY },
+        });
+      })
     );
     setShowSupervisionModal(false);
   };
 
-  const saveSignatures = () => {
+  // Moves a fully signed period into force, freezing its packet content and retiring the period it reauthorizes.
+  const activateIfReady = (list, id) => {
+    const d = list.find((x) => x.id === id);
+    if (!d || !canTransition(d, "ACTIVATED")) return list;
+    const activated = syncTimedLifecycle(
+      transitionDelegation(d, "ACTIVATED", {
+        detail: "RN and Med-Tech signed",
+        patch: { packetSnapshot: freezePacketContent(getLivePacketSources(d)) },
+      }),
+      TODAY
+    );
+    return retireSupersededDelegations(
+      retirePreviousPeriod(
+        list.map((x) => (x.id === id ? activated : x)),
+        activated
+      ),
+      activated
+    );
+  };
+
+  // Applies one party's signature; the other party may already have signed or may sign later.
+  // A party whose signed content has since changed signs again over the current content.
+  const saveSignatures = async () => {
+    const d = selectedDelegation;
+    if (!d) return;
+    if (d.status === "draft") return alert("Finish and submit this draft before it can be signed.");
+    if (!OPEN_STATES.includes(d.status)) {
+      return alert("This authorization period is closed; its signatures can no longer be changed.");
+    }
+    // The last signature puts a pending period in force, so whatever suspends an in-force period holds it too.
+    const resident = residents.find((r) => r.id === d.residentId);
+    if (d.status === "pending_signatures" && resident?.assessmentStatus === "Unstable") {
+      return alert(`${resident.name}'s latest assessment is Unstable. Record a Stable assessment before this period is signed.`);
+    }
+    const medTech = medTechs.find((m) => m.id === d.medTechId);
+    if (d.status === "pending_signatures" && !isMedTechEmployed(medTech)) {
+      return alert(`${medTech?.name || "This med-tech"} is ${EMPLOYMENT_STATUSES[getEmploymentStatus(medTech)].label.toLowerCase()}; return them to Active before this period is signed.`);
+    }
+    const { party } = signMode;
+    const label = SIGNING_PARTIES[party];
+    const resigning = getModifiedSigners(d).includes(party);
+    if (d.signatures?.[party]?.signedAt && !resigning) {
+      return alert(`The ${label} already signed this period on ${formatDate(d.signatures[party].signedAt)}.`);
+    }
+    const typedName = signMode[`${party}TypedName`].trim();
+    const drawn = signMode[`${party}UseDrawn`];
+    if (!typedName) return alert(`Enter the ${label}'s name.`);
+    const strokes = signMode[`${party}SignatureStrokes`];
+    if (drawn && !hasSignatureStrokes(strokes)) return alert("Draw the signature, or untick Use Drawn to sign with the typed name.");
+    const attest = signMode[`${party}Attest`];
+    if (Object.keys(SIGNING_ATTESTATIONS[party]).some((k) => !attest[k])) {
+      return alert(`The ${label} must confirm every attestation before signing.`);
+    }
+
+    let contentHash;
+    try {
+      contentHash = await hashSignedContent(getPeriodSignedContent(d));
+    } catch (err) {
+      return alert(`Could not fingerprint the packet for signing: ${err.message}`);
+    }
     const now = new Date().toISOString();
+    const signature = {
+      signedAt: now,
+      contentHash,
+      typedName,
+      method: drawn ? "drawn" : "typed",
+      // Raw strokes are kept as evidence and print as SVG at any size; the PNG serves image-only outputs.
+      ...(drawn
+        ? { signatureStrokes: strokes, signatureImage: signatureToPNG(strokes) }
+        : { signatureImage: "" }),
+      attestations: Object.entries(SIGNING_ATTESTATIONS[party]).map(([key, text]) => ({ key, text })),
+      ...(party === "mt" ? { medTechId: d.medTechId } : {}),
+    };
     setDelegations((p) =>
-      p.map((d) =>
-        d.id === selectedDelegationId
-          ? {
-              ...d,
-              delegatingRNName: signMode.rnTypedName || d.delegatingRNName,
-              signatures: {
-                rn: {
-                  signedAt: now,
-                  typedName: signMode.rnTypedName,
-                  signatureImage: signMode.rnSignatureImage,
-                },
-                mt: {
-                  signedAt: now,
-                  typedName: signMode.mtTypedName,
-                  signatureImage: signMode.mtSignatureImage,
-                },
-              },
-            }
-          : d
+      activateIfReady(
+        p.map((x) =>
+          x.id === d.id
+            ? {
+                ...x,
+                ...(party === "rn" ? { delegatingRNName: typedName } : {}),
+                signatures: { ...x.signatures, [party]: signature },
+                audit: [
+                  ...(x.audit || []),
+                  {
+                    at: now,
+                    action: resigning ? "RESIGNED" : "SIGNED",
+                    detail: `${label} ${resigning ? "re-signed modified content" : "signed"} as ${typedName} (${signature.method})`,
+                  },
+                ],
+              }
+            : x
+        ),
+        d.id
       )
     );
+    const other = d.signatures?.[party === "rn" ? "mt" : "rn"];
+    if (other?.contentHash && other.contentHash !== contentHash) {
+      alert(`The packet changed after the ${SIGNING_PARTIES[party === "rn" ? "mt" : "rn"]} signed. They must re-sign before this period can take effect.`);
+    }
     setShowSignModal(false);
   };
 
@@ -1635,6 +5195,14 @@ function DelegationManagementApp() {
 
   const saveAssessment = () => {
     if (!assessingResidentId) return;
+    // The delegation premise (checklist.stableCondition) no longer holds; hold every in-force delegation until the RN decides.
+    const toSuspend = assessmentForm.stable
+      ? []
+      : delegations.filter((d) => d.residentId === assessingResidentId && canTransition(d, "SUSPENDED"));
+    if (toSuspend.length) {
+      const reason = `Resident assessed Unstable on ${assessmentForm.date} (${assessmentForm.type})`;
+      setDelegations((p) => suspendDelegations(p, toSuspend.map((d) => d.id), reason, "resident"));
+    }
     setResidents((p) =>
       p.map((r) =>
         r.id === assessingResidentId
@@ -1655,77 +5223,472 @@ function DelegationManagementApp() {
       )
     );
     setShowAssessmentModal(false);
+    if (toSuspend.length) {
+      alert(
+        `${toSuspend.length} active delegation(s) for this resident were suspended.\nRescind or re-validate each one from the resident profile.`
+      );
+      setViewResidentId(assessingResidentId);
+    }
+  };
+
+  const revalidateDelegation = (id) => {
+    const d = delegations.find((x) => x.id === id);
+    const r = residents.find((x) => x.id === d?.residentId);
+    const m = medTechs.find((x) => x.id === d?.medTechId);
+    if (!d) return;
+    const blocker = getTransitionBlocker(d, "REVALIDATED");
+    if (blocker) return alert(blocker);
+    // A suspended record is not suspended again, so each check covers the other cause arising meanwhile too.
+    const employment = getSuspendedCause(d) === "employment";
+    if (employment ? r?.assessmentStatus === "Unstable" : r?.assessmentStatus !== "Stable") {
+      return alert("Record a Stable assessment for this resident before re-validating the delegation.");
+    }
+    if (!isMedTechEmployed(m)) {
+      return alert(`${m?.name || "This med-tech"} is ${EMPLOYMENT_STATUSES[getEmploymentStatus(m)].label.toLowerCase()}; return them to Active first.`);
+    }
+    const question = employment
+      ? `Confirm ${m.name} is back at work and this delegation may resume.`
+      : "Confirm the resident's condition is stable and predictable and this delegation may resume.";
+    if (!window.confirm(question)) return;
+    const detail = employment
+      ? `Re-validated after ${m.name} returned to Active${m.employment?.effectiveDate ? ` on ${m.employment.effectiveDate}` : ""}`
+      : `Re-validated after ${r.lastAssessmentDate ? `Stable assessment on ${r.lastAssessmentDate}` : "Stable assessment"}`;
+    setDelegations((p) =>
+      p.map((x) =>
+        x.id === id
+          ? syncTimedLifecycle(
+              transitionDelegation(x, "REVALIDATED", {
+                detail,
+                patch: { suspendedAt: null, suspendedReason: "", suspendedCause: null },
+              }),
+              TODAY
+            )
+          : x
+      )
+    );
+  };
+
+  const saveCommunity = () => {
+    if (!editingCommunityId || !editCommunityForm) return;
+    setCommunities((p) => p.map((c) => (c.id === editingCommunityId ? editCommunityForm : c)));
+    setEditingCommunityId(null);
+  };
+
+  const handleAddCommunity = () => {
+    const name = prompt("Enter community name:");
+    if (!name) return;
+    const newCm = {
+      id: uid("cm"),
+      name,
+      admin: { name: "", email: "", phone: "" },
+      rn: { name: "", email: "", phone: "" },
+      notifications: { regionalOps: "", regionalNurse: "" },
+    };
+    setCommunities((p) => [...p, newCm]);
+  };
+
+  const handleDeleteCommunity = (id) => {
+    if (window.confirm("Delete this community?")) setCommunities((p) => p.filter((c) => c.id !== id));
+  };
+
+  const handleExportBackup = () => {
+    const backup = buildBackupFile({ communities, residents, medTechs, delegations, taskCatalog, formTemplates });
+    downloadFile(`CareScope_Delegations_Backup_${TODAY}.json`, JSON.stringify(backup, null, 2), "application/json");
+  };
+
+  const openRestoreModal = () => {
+    setRestoreForm(null);
+    setShowRestoreModal(true);
+  };
+
+  const handleRestoreFileSelected = async (file) => {
+    if (!file) return;
+    try {
+      const parsed = parseBackupFile(await readFileAsText(file));
+      setRestoreForm({ fileName: file.name, ...parsed, mode: "merge" });
+    } catch (err) {
+      alert(`Could not read ${file.name}: ${err.message}`);
+    }
+  };
+
+  const confirmRestore = () => {
+    if (!restoreForm?.data) return;
+    const { data, mode } = restoreForm;
+    if (mode === "replace" && !window.confirm("Replace ALL data in this browser with the backup file?")) return;
+    const apply = (current, incoming) => (mode === "replace" ? incoming : mergeById(current, incoming));
+    setCommunities((p) => apply(p, data.communities));
+    setResidents((p) => apply(p, data.residents));
+    setMedTechs((p) => apply(p, data.medTechs));
+    setDelegations((p) => apply(p, data.delegations));
+    setTaskCatalog((p) => (mode === "replace" ? data.taskCatalog : mergeTaskCatalog(p, data.taskCatalog)));
+    setFormTemplates((p) => apply(p, data.formTemplates));
+    if (mode === "replace" && activeCommunityId !== "all" && !data.communities.some((c) => c.id === activeCommunityId)) {
+      setActiveCommunityId("all");
+    }
+    setShowRestoreModal(false);
+    setRestoreForm(null);
+  };
+
+  const saveMtSupervision = () => {
+    setMedTechs((p) =>
+      p.map((m) => (m.id === activeMedTechId ? { ...m, lastSupervision: mtSupervisionForm.date } : m))
+    );
+    setShowMtSupervisionModal(false);
+  };
+
+  const saveTraining = () => {
+    setMedTechs((p) => p.map((m) => (m.id === activeMedTechId ? { ...m, training: trainingForm } : m)));
+    setShowTrainingModal(false);
+  };
+
+  const openPacket = (id) => {
+    setSelectedDelegationId(id);
+    setShowPacketModal(true);
+  };
+  const openSign = (id) => {
+    const d = delegations.find((x) => x.id === id);
+    const r = residents.find((x) => x.id === d?.residentId);
+    setSelectedDelegationId(id);
+    setSignMode((p) => ({
+      ...p,
+      party: [...getPendingSigners(d), ...getModifiedSigners(d)][0] || "rn",
+      rnTypedName: d?.delegatingRNName || communities.find((c) => c.id === r?.communityId)?.rn?.name || "",
+      rnUseDrawn: false,
+      rnSignatureStrokes: null,
+      rnAttest: Object.fromEntries(Object.keys(SIGNING_ATTESTATIONS.rn).map((k) => [k, false])),
+      mtTypedName: medTechs.find((m) => m.id === d?.medTechId)?.name || "",
+      mtUseDrawn: false,
+      mtSignatureStrokes: null,
+      mtAttest: Object.fromEntries(Object.keys(SIGNING_ATTESTATIONS.mt).map((k) => [k, false])),
+    }));
+    setShowSignModal(true);
+  };
+  const openSupervisionModal = (id) => {
+    const d = delegations.find((x) => x.id === id);
+    const r = residents.find((x) => x.id === d?.residentId);
+    setSelectedDelegationId(id);
+    setSupervisionVisitForm(
+      getEmptySupervisionVisit(
+        d?.delegatingRNName || communities.find((c) => c.id === r?.communityId)?.rn?.name || activeCommunity?.rn?.name || ""
+      )
+    );
+    setShowSupervisionModal(true);
+  };
+  const openRescindModal = (id) => {
+    setSelectedDelegationId(id);
+    setRescindReason("");
+    setShowRescindModal(true);
+  };
+
+  // Signed periods print from their frozen snapshot; unsigned ones from live records and their own task version.
+  const getPacketArgs = (d) => {
+    const snap = d.packetSnapshot;
+    if (snap) {
+      return {
+        orgName: snap.orgName || "CareScope",
+        orgRNName: snap.orgRNName,
+        delegation: d,
+        resident: snap.resident,
+        medTech: snap.medTech,
+        task: snap.task,
+        packet: snap.packet,
+        rnSig: d.signatures?.rn,
+        mtSig: d.signatures?.mt,
+        modifiedAfterSigning: isModifiedAfterSigning(d),
+      };
+    }
+    const r = residents.find((x) => x.id === d.residentId);
+    const c = communities.find((x) => x.id === r?.communityId);
+    const task = findTask(d.taskId, d.taskVersion);
+    return {
+      orgName: c?.name || activeCommunity.name || "CareScope",
+      orgRNName: c?.rn?.name || activeCommunity?.rn?.name || "",
+      delegation: d,
+      resident: r,
+      medTech: medTechs.find((x) => x.id === d.medTechId),
+      task,
+      packet: task && tailorPacket(task.packet, d.packetCustomization),
+      rnSig: d.signatures?.rn,
+      mtSig: d.signatures?.mt,
+      modifiedAfterSigning: isModifiedAfterSigning(d),
+    };
+  };
+
+  // An unfrozen period whose pinned task version is gone cannot reprint what it was created against.
+  const getMissingTaskVersion = (d) =>
+    !d.packetSnapshot && d.taskVersion != null && !findTask(d.taskId, d.taskVersion)
+      ? `Version ${d.taskVersion} of task ${d.taskId} is not in the task catalog, so this packet cannot be reprinted. Restore a backup that includes it.`
+      : null;
+
+  const handlePrintDelegation = (d) => {
+    const missing = getMissingTaskVersion(d);
+    if (missing) return alert(missing);
+    printPacket(getPacketArgs(d));
+  };
+  const handleDownloadDelegationPDF = (d) => {
+    const missing = getMissingTaskVersion(d);
+    if (missing) return alert(missing);
+    downloadPacketPDF(getPacketArgs(d)).catch((err) => alert(`Could not build the PDF: ${err.message}`));
+  };
+
+  const getFormTemplate = (task) => task?.formTemplate && formTemplates.find((t) => t.name === task.formTemplate);
+
+  const handleDownloadDelegationForm = async (d) => {
+    const missing = getMissingTaskVersion(d);
+    if (missing) return alert(missing);
+    const args = getPacketArgs(d);
+    const template = getFormTemplate(args.task);
+    if (!template) {
+      return alert(
+        `No Word template is registered for ${args.task?.formTemplate || args.task?.label || "this task"}. An admin can upload it under Admin → Forms.`
+      );
+    }
+    try {
+      downloadFile(delegationFilename(args, "docx"), await fillDocxTemplate(base64ToBytes(template.data), getFormTemplateValues(args)));
+    } catch (err) {
+      alert(`Could not fill ${template.name}: ${err.message}`);
+    }
+  };
+
+  const getFaceSheetRows = (residentId) =>
+    delegations
+      .filter((d) => d.residentId === residentId && d.status !== "draft")
+      .map((d) => ({
+        task: findTask(d.taskId, d.taskVersion)?.label || d.taskId,
+        medTech: medTechs.find((m) => m.id === d.medTechId)?.name || "—",
+        status: DELEGATION_STATES[d.status]?.label || d.status,
+        startDate: d.startDate,
+        endDate: d.endDate,
+      }));
+
+  const packetSection = (d, group) => {
+    const args = getPacketArgs(d);
+    return {
+      kind: "packet",
+      title: `${args.task?.label || d.taskId} — ${args.medTech?.name || "—"} (period ${getPeriodNumber(d)}, ${
+        DELEGATION_STATES[d.status]?.label || d.status
+      })`,
+      group,
+      args,
+    };
+  };
+
+  // Face sheet, latest assessment, then every packet for the resident (each task's newest period first).
+  const getResidentBinder = (r) => {
+    const orgName = communities.find((c) => c.id === r.communityId)?.name || "CareScope";
+    const latest = [...(r.assessments || [])].sort((a, b) => (b.date || "").localeCompare(a.date || ""))[0];
+    const packets = delegations
+      .filter((d) => d.residentId === r.id && d.status !== "draft")
+      .sort(
+        (a, b) =>
+          (findTask(a.taskId)?.label || "").localeCompare(findTask(b.taskId)?.label || "") ||
+          (b.startDate || "").localeCompare(a.startDate || "")
+      );
+    return {
+      title: `Delegation Binder — ${r.name}`,
+      orgName,
+      filename: `Binder_${fileSafeName(r.name)}_${TODAY}.pdf`,
+      sections: [
+        { kind: "faceSheet", title: "Face Sheet", args: { orgName, resident: r, delegations: getFaceSheetRows(r.id) } },
+        ...(latest ? [{ kind: "assessment", title: `Assessment ${formatDate(latest.date)}`, args: { orgName, resident: r, assessment: latest } }] : []),
+        ...packets.map((d) => packetSection(d)),
+      ],
+    };
+  };
+
+  // Every in-force packet in the selected community, grouped by resident.
+  const getCommunityBinder = () => {
+    const residentsInScope = residents
+      .filter((r) => activeCommunityId === "all" || r.communityId === activeCommunityId)
+      .sort((a, b) => a.name.localeCompare(b.name));
+    return {
+      title: `Active Delegation Packets — ${activeCommunity.name}`,
+      orgName: activeCommunity.name,
+      filename: `Binder_${fileSafeName(activeCommunity.name)}_Active_${TODAY}.pdf`,
+      sections: residentsInScope.flatMap((r) =>
+        delegations
+          .filter((d) => d.residentId === r.id && IN_FORCE_STATES.includes(d.status))
+          .sort((a, b) => (findTask(a.taskId)?.label || "").localeCompare(findTask(b.taskId)?.label || ""))
+          .map((d) => packetSection(d, r.name))
+      ),
+    };
+  };
+
+  const handleBinder = async (binder, output) => {
+    if (!binder.sections.length) return alert("There is nothing to put in this binder.");
+    if (output === "print") return printBinder(binder);
+    try {
+      await downloadBinderPDF(binder);
+    } catch (err) {
+      alert(`Could not build the PDF: ${err.message}`);
+    }
   };
 
-  const saveCommunity = () => {
-    if (!editingCommunityId || !editCommunityForm) return;
-    setCommunities((p) => p.map((c) => (c.id === editingCommunityId ? editCommunityForm : c)));
-    setEditingCommunityId(null);
-  };
+  const openSurveyArchive = () =>
+    setSurveyArchiveForm({
+      communityId: activeCommunityId !== "all" ? activeCommunityId : communities[0]?.id || "",
+      from: addDays(TODAY, -365),
+      to: TODAY,
+    });
 
-  const handleAddCommunity = () => {
-    const name = prompt("Enter community name:");
-    if (!name) return;
-    const newCm = {
-      id: uid("cm"),
-      name,
-      admin: { name: "", email: "", phone: "" },
-      rn: { name: "", email: "", phone: "" },
-      notifications: { regionalOps: "", regionalNurse: "" },
+  // Periods in force at any point in the range; assessments, training and audit entries dated within it.
+  const getSurveyArchiveInput = ({ communityId, from, to }) => {
+    const inRange = (date) => !!date && date.slice(0, 10) >= from && date.slice(0, 10) <= to;
+    const communityResidents = residents.filter((r) => r.communityId === communityId);
+    const residentIds = new Set(communityResidents.map((r) => r.id));
+    const records = delegations.filter((d) => residentIds.has(d.residentId) && d.status !== "draft");
+    const periods = records.filter((d) => {
+      const span = getPeriodInForceSpan(d);
+      return span && span.from <= to && (!span.to || span.to >= from);
+    });
+    const medTechIds = new Set(periods.map((d) => d.medTechId));
+    return {
+      orgName: communities.find((c) => c.id === communityId)?.name || "CareScope",
+      from,
+      to,
+      packets: periods.map((d) => ({ ...getPacketArgs(d), id: d.id })),
+      assessments: communityResidents.flatMap((r) =>
+        (r.assessments || []).filter((a) => inRange(a.date)).map((assessment) => ({ resident: r, assessment }))
+      ),
+      medTechs: medTechs
+        .filter((m) => m.communityId === communityId || medTechIds.has(m.id))
+        .map((m) => ({ ...m, trainingTranscript: (m.trainingTranscript || []).filter((t) => inRange(t.date)) })),
+      audit: records
+        .flatMap((d) =>
+          (d.audit || [])
+            .filter((e) => inRange(e.at))
+            .map((e) => ({
+              delegationId: d.id,
+              resident: residents.find((r) => r.id === d.residentId)?.name || "",
+              medTech: medTechs.find((m) => m.id === d.medTechId)?.name || "",
+              task: findTask(d.taskId, d.taskVersion)?.label || d.taskId,
+              at: e.at,
+              action: e.action,
+              detail: e.detail || "",
+            }))
+        )
+        .sort((a, b) => a.at.localeCompare(b.at)),
     };
-    setCommunities((p) => [...p, newCm]);
   };
 
-  const handleDeleteCommunity = (id) => {
-    if (window.confirm("Delete this community?")) setCommunities((p) => p.filter((c) => c.id !== id));
+  const downloadSurveyArchive = async () => {
+    const f = surveyArchiveForm;
+    if (!f.communityId) return alert("Choose a community.");
+    if (!f.from || !f.to || f.from > f.to) return alert("Choose a date range that ends on or after the day it starts.");
+    const input = getSurveyArchiveInput(f);
+    try {
+      downloadFile(`Survey_Archive_${fileSafeName(input.orgName)}_${f.from}_to_${f.to}.zip`, await buildSurveyArchive(input));
+    } catch (err) {
+      alert(`Could not build the archive: ${err.message}`);
+    }
   };
 
-  const saveMtSupervision = () => {
-    setMedTechs((p) =>
-      p.map((m) => (m.id === activeMedTechId ? { ...m, lastSupervision: mtSupervisionForm.date } : m))
-    );
-    setShowMtSupervisionModal(false);
+  // Registers (or replaces) the .docx behind a task's formTemplate name; tasks naming the same file share it.
+  const handleFormTemplateSelected = async (task, file) => {
+    if (!file) return;
+    if (!task.formTemplate) return alert(`Give ${task.label} a form template name in the Task Catalog first.`);
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    let placeholders;
+    try {
+      placeholders = await findTemplatePlaceholders(bytes);
+    } catch (err) {
+      return alert(`${file.name} is not a Word (.docx) document: ${err.message}`);
+    }
+    if (!placeholders.length && !window.confirm(`${file.name} has no {{placeholders}}, so nothing will be filled in. Register it anyway?`)) {
+      return;
+    }
+    const existing = formTemplates.find((t) => t.name === task.formTemplate);
+    setFormTemplates((p) => [
+      ...p.filter((t) => t.name !== task.formTemplate),
+      {
+        id: existing?.id || uid("tpl"),
+        name: task.formTemplate,
+        fileName: file.name,
+        uploadedAt: new Date().toISOString(),
+        placeholders,
+        data: bytesToBase64(bytes),
+      },
+    ]);
+    const unknown = placeholders.filter((k) => !isKnownFormField(k));
+    if (unknown.length) {
+      alert(`Registered ${task.formTemplate}. These placeholders are not recognised and will be left as written:\n${unknown.map((k) => `{{${k}}}`).join("\n")}`);
+    }
   };
 
-  const saveTraining = () => {
-    setMedTechs((p) => p.map((m) => (m.id === activeMedTechId ? { ...m, training: trainingForm } : m)));
-    setShowTrainingModal(false);
+  const removeFormTemplate = (template) => {
+    if (window.confirm(`Remove the uploaded ${template.name}? Forms for its tasks cannot be generated until it is uploaded again.`)) {
+      setFormTemplates((p) => p.filter((t) => t.id !== template.id));
+    }
   };
 
-  const openPacket = (id) => {
-    setSelectedDelegationId(id);
-    setShowPacketModal(true);
-  };
-  const openSign = (id) => {
-    setSelectedDelegationId(id);
-    setShowSignModal(true);
+  const openPacketEditor = (id) => {
+    const d = delegations.find((x) => x.id === id);
+    setPacketEditor({
+      delegationId: id,
+      ...Object.fromEntries(
+        Object.keys(PACKET_CUSTOMIZATION_FIELDS).map((k) => [k, (d.packetCustomization?.[k] || []).join("\n")])
+      ),
+    });
   };
-  const openSupervisionModal = (id) => {
-    setSelectedDelegationId(id);
-    setShowSupervisionModal(true);
+
+  const savePacketEditor = () => {
+    const d = delegations.find((x) => x.id === packetEditor.delegationId);
+    if (!canCustomizePacket(d)) return alert("This period has been signed; its packet is frozen.");
+    const customization = Object.fromEntries(
+      Object.keys(PACKET_CUSTOMIZATION_FIELDS).map((k) => [
+        k,
+        packetEditor[k].split("\n").map((l) => l.trim()).filter(Boolean),
+      ])
+    );
+    if (JSON.stringify(tailorPacket({}, d.packetCustomization)) === JSON.stringify(customization)) {
+      setPacketEditor(null);
+      return;
+    }
+    // Signatures attest to the packet as printed, so any collected before this change no longer apply.
+    const hadSignatures = !!(d.signatures?.rn || d.signatures?.mt);
+    if (hadSignatures && !window.confirm("Changing the packet clears the signatures already collected for this period. Continue?")) return;
+    const summary = Object.entries(PACKET_CUSTOMIZATION_FIELDS)
+      .map(([k, label]) => `${label}: ${customization[k].length}`)
+      .join(", ");
+    setDelegations((p) =>
+      p.map((x) =>
+        x.id === d.id
+          ? {
+              ...x,
+              packetCustomization: customization,
+              ...(hadSignatures ? { signatures: { rn: null, mt: null } } : {}),
+              audit: [
+                ...(x.audit || []),
+                {
+                  at: new Date().toISOString(),
+                  action: "PACKET_CUSTOMIZED",
+                  detail: `${summary}${hadSignatures ? " · signatures cleared" : ""}`,
+                },
+              ],
+            }
+          : x
+      )
+    );
+    setPacketEditor(null);
   };
-  const openRescindModal = (id) => {
-    setSelectedDelegationId(id);
-    setRescindReason("");
-    setShowRescindModal(true);
+
+  const openHistoryModal = (id) => {
+    setHistoryDelegationId(id);
+    setHistoryAsOf(TODAY);
   };
 
-  const handlePrintDelegation = (d) => {
-    const r = residents.find((x) => x.id === d.residentId);
-    const m = medTechs.find((x) => x.id === d.medTechId);
-    const t = DELEGATION_TASKS.find((x) => x.id === d.taskId);
-    const p = TASK_PACKET_SNIPPETS[d.taskId];
-    printPacket({
-      orgName: activeCommunity.name || "CareScope",
-      orgRNName: activeCommunity?.rn?.name || "",
-      delegation: d,
-      resident: r,
-      medTech: m,
-      task: t,
-      packet: p,
-      rnSig: d.signatures?.rn,
-      mtSig: d.signatures?.mt,
-    });
+  const exportDelegations = (format) => {
+    if (!delegationsToShow.length) return alert("No delegations to export.");
+    const rows = buildDelegationExportRows({ delegations: delegationsToShow, residents, medTechs, communities, taskCatalog });
+    const base = `Delegations_${fileSafeName(activeCommunity.name)}${
+      delegationStatusFilter ? `_${fileSafeName(delegationStatusFilter)}` : ""
+    }_${TODAY}`;
+    if (format === "xlsx") {
+      downloadFile(`${base}.xlsx`, buildXlsx("Delegations", rows));
+    } else {
+      // BOM so Excel opens UTF-8 names correctly.
+      downloadFile(`${base}.csv`, "\uFEFF" + toCSV(rows), "text/csv;charset=utf-8");
+    }
   };
 
   const openAssessmentModal = (id) => {
@@ -1757,6 +5720,14 @@ function DelegationManagementApp() {
     setEditResidentForm(null);
   };
 
+  if (storeStatus === "loading") {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center text-gray-500">
+        Loading saved delegations…
+      </div>
+    );
+  }
+
   // Render components...
   return (
     <div className="min-h-screen bg-gray-50 font-sans">
@@ -1797,6 +5768,25 @@ function DelegationManagementApp() {
           ))}
         </div>
       </header>
+      {(saveError || storeStatus === "error") && (
+        <div className="bg-red-600 text-white text-sm px-5 py-2 flex items-center gap-2">
+          <AlertTriangle size={16} />
+          <span>
+            <b>Changes are not being saved.</b>{" "}
+            {saveError ? `The browser refused to store them (${saveError}).` : "Saved data could not be loaded."} Export a
+            backup from Admin before closing this page.
+          </span>
+        </div>
+      )}
+      {hashError && (
+        <div className="bg-red-600 text-white text-sm px-5 py-2 flex items-center gap-2">
+          <AlertTriangle size={16} />
+          <span>
+            <b>Signed packets are not being checked for changes.</b> This browser could not compute their SHA-256
+            ({hashError}), so nothing can be flagged as modified after signing.
+          </span>
+        </div>
+      )}
 
       {/* Mobile nav */}
       <div className="md:hidden grid grid-cols-3 gap-2 mb-4 p-4 pb-0">
@@ -1812,11 +5802,11 @@ function DelegationManagementApp() {
           <>
             <div className="flex justify-between items-center">
               <h2 className="text-2xl font-bold text-gray-900">Dashboard for {activeCommunity.name}</h2>
-              <Button onClick={() => setShowNewDelegation(true)}>
+              <Button onClick={() => openNewDelegation()}>
                 <Plus size={18} /> New Delegation
               </Button>
             </div>
-            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 xl:grid-cols-7 gap-4">
               <Card title="Active" value={stats.active} tone="green" onClick={() => { setView("delegations"); setDelegationStatusFilter("active"); }} />
               <Card title="Due Soon" value={stats.dueSoon} tone={stats.dueSoon > 0 ? "red" : "yellow"} onClick={() => { setView("delegations"); setDelegationStatusFilter("dueSoon"); }} />
               <Card title="Overdue" value={stats.overdue} tone={stats.overdue > 0 ? "red" : "green"} onClick={() => { setView("delegations"); setDelegationStatusFilter("overdue"); }} />
@@ -1826,7 +5816,25 @@ function DelegationManagementApp() {
                 tone={stats.diabeticAssessmentsOverdue > 0 ? "red" : "yellow"} 
                 onClick={() => { setView("residents"); setResidentFilter("overdue"); }} 
               />
-              <Card title="Unsigned" value={stats.unsigned} tone={stats.unsigned > 0 ? "red" : "indigo"} onClick={() => { setView("delegations"); setDelegationStatusFilter("unsigned"); }} />
+              <Card
+                title="Unsigned"
+                value={stats.unsigned}
+                hint={`Awaiting RN ${stats.unsignedBreakdown.rn} · Med-Tech ${stats.unsignedBreakdown.mt} · both ${stats.unsignedBreakdown.both}`}
+                tone={stats.unsigned > 0 ? "red" : "indigo"}
+                onClick={() => { setView("delegations"); setDelegationStatusFilter("unsigned"); }} />
+              <Card
+                title="Supervision Overdue"
+                value={stats.supervisionOverdue}
+                tone={stats.supervisionOverdue > 0 ? "red" : "green"}
+                onClick={() => { setView("delegations"); setDelegationStatusFilter("supervisionOverdue"); }}
+              />
+              <Card
+                title="Modified After Signing"
+                value={stats.modifiedAfterSigning}
+                hint="Re-signing required"
+                tone={stats.modifiedAfterSigning > 0 ? "red" : "green"}
+                onClick={() => { setView("delegations"); setDelegationStatusFilter("modifiedAfterSigning"); }}
+              />
             </div>
             <div className="bg-white rounded-2xl border border-gray-200 shadow-sm p-4 overflow-auto">
               <h3 className="text-xl font-bold mb-4">Recent Delegations</h3>
@@ -1847,7 +5855,7 @@ function DelegationManagementApp() {
                     const r = residents.find((x) => x.id === d.residentId);
                     const m = medTechs.find((x) => x.id === d.medTechId);
                     const c = communities.find((x) => x.id === r?.communityId);
-                    const t = DELEGATION_TASKS.find((x) => x.id === d.taskId);
+                    const t = findTask(d.taskId, d.taskVersion);
                     return (
                       <tr key={d.id} className="border-b">
                         <td className="p-3 font-semibold">{r?.name}</td>
@@ -1871,18 +5879,33 @@ function DelegationManagementApp() {
                             <Button variant="secondary" onClick={() => handlePrintDelegation(d)} title="Print Packet">
                               <Printer size={16} /> Print Packet
                             </Button>
+                            <Button
+                              variant="secondary"
+                              onClick={() => openPacketEditor(d.id)}
+                              disabled={!canCustomizePacket(d)}
+                              title={canCustomizePacket(d) ? "Tailor packet for this resident" : "Packet frozen at signing"}
+                            >
+                              <FileText size={16} /> Tailor Packet
+                            </Button>
                             <Button variant="secondary" onClick={() => openSign(d.id)} title="Sign">
                               <PenLine size={16} /> Sign
                             </Button>
-                            <Button variant="secondary" onClick={() => openReauthModal(d.id)} disabled={d.status !== "active"} title="Reauthorize">
+                            <Button variant="secondary" onClick={() => openReauthModal(d.id)} disabled={!!getResidentReauthorizationBlocker(d)} title="Reauthorize">
                               <Calendar size={16} /> Reauthorize
                             </Button>
-                            <Button variant="danger" onClick={() => openRescindModal(d.id)} disabled={d.status !== "active"} title="Rescind">
+                            <Button variant="danger" onClick={() => openRescindModal(d.id)} disabled={!canTransition(d, "RESCINDED")} title="Rescind">
                               <Trash2 size={16} /> Rescind
                             </Button>
-                            <Button variant="secondary" onClick={() => handlePrintDelegation(d)} title="Download PDF">
+                            <Button variant="secondary" onClick={() => handleDownloadDelegationPDF(d)} title="Download PDF">
                               <Download size={16} /> Download PDF
                             </Button>
+                            <Button
+                              variant="secondary"
+                              onClick={() => handleDownloadDelegationForm(d)}
+                              title={getFormTemplate(findTask(d.taskId, d.taskVersion)) ? "Download Word form" : "No Word template uploaded for this task"}
+                            >
+                              <FileText size={16} /> Word Form
+                            </Button>
                           </div>
                         </td>
                       </tr>
@@ -1898,136 +5921,268 @@ function DelegationManagementApp() {
           <div className="space-y-4">
             <div className="flex justify-between">
               <h2 className="text-2xl font-bold">Delegations at {activeCommunity.name}</h2>
-              <Button onClick={() => setShowNewDelegation(true)}>
-                <Plus size={18} /> New
-              </Button>
+              <div className="flex gap-2">
+                <Button variant="secondary" onClick={() => exportDelegations("csv")} title="Export the filtered list to CSV">
+                  <Download size={18} /> CSV
+                </Button>
+                <Button variant="secondary" onClick={() => exportDelegations("xlsx")} title="Export the filtered list to Excel">
+                  <Download size={18} /> XLSX
+                </Button>
+                <Button variant="secondary" onClick={() => handleBinder(getCommunityBinder(), "print")} title="Print every active packet, grouped by resident">
+                  <Printer size={18} /> Binder
+                </Button>
+                <Button variant="secondary" onClick={() => handleBinder(getCommunityBinder(), "pdf")} title="Download every active packet as one PDF">
+                  <Download size={18} /> Binder PDF
+                </Button>
+                <Button variant="secondary" onClick={() => setDelegationStatusFilter("drafts")} title="Saved, unfinished delegations">
+                  <FileText size={18} /> Drafts ({filteredDelegations.filter((d) => d.status === "draft").length})
+                </Button>
+                <Button onClick={() => openNewDelegation()}>
+                  <Plus size={18} /> New
+                </Button>
+              </div>
             </div>
             {delegationStatusFilter && (
               <div className="bg-indigo-50 p-2 text-indigo-800 rounded">
-                Filter: <strong>{delegationStatusFilter === "diabeticAssessmentsOverdue" ? "Diabetic Assessments Overdue" : delegationStatusFilter}</strong>{" "}
+                Filter: <strong>{DELEGATION_FILTER_LABELS[delegationStatusFilter] || delegationStatusFilter}</strong>{" "}
                 <button onClick={() => setDelegationStatusFilter(null)} className="underline ml-2">
                   Clear
                 </button>
               </div>
             )}
-            <div className="bg-white rounded-2xl border border-gray-200 shadow-sm p-4 overflow-auto">
-              <table className="w-full text-sm">
-                <thead className="text-left bg-gray-50 border-b">
-                  <tr>
-                    <th className="p-4">Resident</th>
-                    <th className="p-4">Med-Tech</th>
-                    <th className="p-4">Community</th>
-                    <th className="p-4">Task</th>
-                    <th className="p-4">Authorization Ends</th>
-                    <th className="p-4">Diabetic Assessment</th>
-                    <th className="p-4">Signatures</th>
-                    <th className="p-4">Actions</th>
-                  </tr>
-                </thead>
-                <tbody>
-                  {Object.keys(groupedDelegations).length > 0 ? (
-                    Object.keys(groupedDelegations).map((key) => {
-                      const group = groupedDelegations[key];
-                      const first = group[0];
-                      const r = residents.find((x) => x.id === first.residentId);
-                      const m = medTechs.find((x) => x.id === first.medTechId);
-                      const c = communities.find((x) => x.id === r?.communityId);
-                      const isExpanded = expandedGroups.has(key);
-                      const taskCount = group.length;
-
-                      return (
-                        <React.Fragment key={key}>
-                          {/* Summary Row */}
-                          <tr
-                            className="border-b last:border-b-0 cursor-pointer bg-gray-50 hover:bg-gray-100 transition-colors"
-                            onClick={() => toggleGroup(key)}
-                          >
-                            <td className="p-4 font-bold text-gray-900">{r?.name || "—"}</td>
-                            <td className="p-4 font-bold text-gray-900">{m?.name || "—"}</td>
-                            <td className="p-4 text-xs font-medium text-indigo-700">{c?.name || "—"}</td>
-                            <td className="p-4 text-gray-700 font-medium">
-                              {taskCount} Active Delegation{taskCount !== 1 ? "s" : ""}
-                            </td>
-                            <td colSpan={3} className="p-4 text-xs text-gray-500 italic">
-                              Click to view details...
-                            </td>
-                            <td className="p-4 text-gray-400">{isExpanded ? <ChevronUp size={20} /> : <ChevronDown size={20} />}</td>
-                          </tr>
-
-                          {/* Detail Rows */}
-                          {isExpanded &&
-                            group.map((d) => {
-                              const t = DELEGATION_TASKS.find((x) => x.id === d.taskId);
-                              const signed = d.signatures?.rn?.signedAt && d.signatures?.mt?.signedAt;
-                              return (
-                                <tr key={d.id} className="border-b bg-white">
-                                  <td className="p-4 pl-8 border-l-4 border-indigo-100"></td>
-                                  <td className="p-4"></td>
-                                  <td className="p-4"></td>
-                                  <td className="p-4">
-                                    <div className="flex flex-col">
-                                      <span className="font-semibold text-gray-800">{t?.label || "—"}</span>
-                                      <span className="text-xs text-gray-500">Template: {t?.formTemplate || "—"}</span>
-                                    </div>
-                                  </td>
-                                  <td className="p-4">
-                                    <div className="flex flex-col items-start gap-1">
-                                      <span className="font-medium">{formatDate(d.endDate)}</span>
-                                      {statusBadge(d)}
-                                    </div>
-                                  </td>
-                                  <td className="p-4">
-                                    <div className="flex flex-col items-start gap-1">
-                                      <span className="text-xs text-gray-500">Due {formatDate(getNextAssessmentDueDate(r))}</span>
-                                      {assessmentBadge(r)}
-                                    </div>
-                                  </td>
-                                  <td className="p-4">{signed ? <Badge tone="green">Signed</Badge> : <Badge tone="yellow">Pending</Badge>}</td>
-                                  <td className="p-4">
-                                    <div className="flex flex-wrap gap-2">
-                                      <Button variant="secondary" onClick={() => handlePrintDelegation(d)} title="Print Packet">
-                                        <Printer size={16} /> Print Packet
-                                      </Button>
-                                      <Button variant="secondary" onClick={() => openSign(d.id)} title="Sign">
-                                        <PenLine size={16} /> Sign
-                                      </Button>
-                                      <Button
-                                        variant="secondary"
-                                        onClick={() => openReauthModal(d.id)}
-                                        disabled={d.status !== "active"}
-                                        title="Reauthorize"
-                                      >
-                                        <Calendar size={16} /> Reauthorize
-                                      </Button>
-                                      <Button
-                                        variant="danger"
-                                        onClick={() => openRescindModal(d.id)}
-                                        disabled={d.status !== "active"}
-                                        title="Rescind"
-                                      >
-                                        <Trash2 size={16} /> Rescind
-                                      </Button>
-                                      <Button variant="secondary" onClick={() => handlePrintDelegation(d)} title="Download PDF">
-                                        <Download size={16} /> Download PDF
-                                      </Button>
-                                    </div>
-                                  </td>
-                                </tr>
-                              );
-                            })}
-                        </React.Fragment>
-                      );
-                    })
-                  ) : (
+            {delegationStatusFilter === "drafts" ? (
+              <div className="bg-white rounded-2xl border border-gray-200 shadow-sm p-4 overflow-auto">
+                <table className="w-full text-sm">
+                  <thead className="text-left bg-gray-50 border-b">
                     <tr>
-                      <td className="p-6 text-gray-500" colSpan={8}>
-                        No delegations match your search.
-                      </td>
+                      <th className="p-4">Resident</th>
+                      <th className="p-4">Med-Tech</th>
+                      <th className="p-4">Tasks</th>
+                      <th className="p-4">Step</th>
+                      <th className="p-4">Last Saved</th>
+                      <th className="p-4">Actions</th>
                     </tr>
-                  )}
-                </tbody>
-              </table>
-            </div>
+                  </thead>
+                  <tbody>
+                    {delegationsToShow.length > 0 ? (
+                      delegationsToShow.map((d) => (
+                        <tr key={d.id} className="border-b">
+                          <td className="p-4 font-semibold">{residents.find((r) => r.id === d.residentId)?.name || "—"}</td>
+                          <td className="p-4">{medTechs.find((m) => m.id === d.medTechId)?.name || "—"}</td>
+                          <td className="p-4">
+                            {(d.draftForm?.taskIds || []).map((id) => findTask(id)?.label || id).join(", ") || "—"}
+                          </td>
+                          <td className="p-4">{NEW_DELEGATION_STEPS[d.draftStep || 0]?.label}</td>
+                          <td className="p-4">{d.draftSavedAt ? formatDate(d.draftSavedAt.slice(0, 10)) : "—"}</td>
+                          <td className="p-4">
+                            <div className="flex gap-2">
+                              <Button variant="secondary" onClick={() => openNewDelegation(d)}>
+                                <Edit2 size={16} /> Resume
+                              </Button>
+                              <Button variant="danger" onClick={() => discardDraft(d.id)} title="Discard draft">
+                                <Trash2 size={16} />
+                              </Button>
+                            </div>
+                          </td>
+                        </tr>
+                      ))
+                    ) : (
+                      <tr>
+                        <td colSpan="6" className="p-6 text-center text-gray-500">
+                          No drafts.
+                        </td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <div className="bg-white rounded-2xl border border-gray-200 shadow-sm p-4 overflow-auto">
+                <table className="w-full text-sm">
+                  <thead className="text-left bg-gray-50 border-b">
+                    <tr>
+                      <th className="p-4">Resident</th>
+                      <th className="p-4">Med-Tech</th>
+                      <th className="p-4">Community</th>
+                      <th className="p-4">Task</th>
+                      <th className="p-4">Authorization Ends</th>
+                      <th className="p-4">Diabetic Assessment</th>
+                      <th className="p-4">Signatures</th>
+                      <th className="p-4">Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.keys(groupedDelegations).length > 0 ? (
+                      Object.keys(groupedDelegations).map((key) => {
+                        const group = groupedDelegations[key];
+                        const first = group[0];
+                        const r = residents.find((x) => x.id === first.residentId);
+                        const m = medTechs.find((x) => x.id === first.medTechId);
+                        const c = communities.find((x) => x.id === r?.communityId);
+                        const isExpanded = expandedGroups.has(key);
+                        const taskCount = group.length;
+
+                        return (
+                          <React.Fragment key={key}>
+                            {/* Summary Row */}
+                            <tr
+                              className="border-b last:border-b-0 cursor-pointer bg-gray-50 hover:bg-gray-100 transition-colors"
+                              onClick={() => toggleGroup(key)}
+                            >
+                              <td className="p-4 font-bold text-gray-900">{r?.name || "—"}</td>
+                              <td className="p-4 font-bold text-gray-900">{m?.name || "—"}</td>
+                              <td className="p-4 text-xs font-medium text-indigo-700">{c?.name || "—"}</td>
+                              <td className="p-4 text-gray-700 font-medium">
+                                {taskCount} Delegation{taskCount !== 1 ? "s" : ""}
+                              </td>
+                              <td colSpan={3} className="p-4 text-xs text-gray-500 italic">
+                                <div className="flex items-center justify-between gap-2">
+                                  <span>Click to view details...</span>
+                                  {taskCount > 1 && (
+                                    <Button
+                                      variant="secondary"
+                                      className="not-italic"
+                                      disabled={group.every((d) => getResidentReauthorizationBlocker(d))}
+                                      onClick={(e) => {
+                                        e.stopPropagation();
+                                        openGroupReauthModal(group);
+                                      }}
+                                      title="Reauthorize this med-tech's tasks for this resident together"
+                                    >
+                                      <Calendar size={16} /> Reauthorize All
+                                    </Button>
+                                  )}
+                                </div>
+                              </td>
+                              <td className="p-4 text-gray-400">{isExpanded ? <ChevronUp size={20} /> : <ChevronDown size={20} />}</td>
+                            </tr>
+
+                            {/* Detail Rows */}
+                            {isExpanded &&
+                              group.map((d) => {
+                                const t = findTask(d.taskId, d.taskVersion);
+                                return (
+                                  <tr key={d.id} className="border-b bg-white">
+                                    <td className="p-4 pl-8 border-l-4 border-indigo-100"></td>
+                                    <td className="p-4"></td>
+                                    <td className="p-4"></td>
+                                    <td className="p-4">
+                                      <div className="flex flex-col">
+                                        <span className="font-semibold text-gray-800">{t?.label || "—"}</span>
+                                        <span className="text-xs text-gray-500">Template: {t?.formTemplate || "—"} · content v{t?.version || 1}</span>
+                                        <span className="text-xs text-gray-500">
+                                          Period {getPeriodNumber(d)} · from {formatDate(d.startDate)}
+                                          {d.pendingReauthorizationId ? " · reauthorization awaiting signatures" : ""}
+                                        </span>
+                                      </div>
+                                    </td>
+                                    <td className="p-4">
+                                      <div className="flex flex-col items-start gap-1">
+                                        <span className="font-medium">{formatDate(d.endDate)}</span>
+                                        {statusBadge(d)}
+                                        <span className={`text-xs ${isSupervisionOverdue(d, TODAY) ? "text-red-700 font-semibold" : "text-gray-500"}`}>
+                                          Supervision due {formatDate(getSupervisionDue(d).dueDate)}
+                                        </span>
+                                      </div>
+                                    </td>
+                                    <td className="p-4">
+                                      <div className="flex flex-col items-start gap-1">
+                                        <span className="text-xs text-gray-500">Due {formatDate(getNextAssessmentDueDate(r))}</span>
+                                        {assessmentBadge(r)}
+                                      </div>
+                                    </td>
+                                    <td className="p-4">
+                                      <div className="flex flex-col items-start gap-1">
+                                        {Object.entries(SIGNING_PARTIES).map(([party, label]) =>
+                                          d.signatures?.[party]?.signedAt ? (
+                                            <Badge key={party} tone="green">
+                                              {label} signed {formatDate(d.signatures[party].signedAt)}
+                                            </Badge>
+                                          ) : (
+                                            <Badge key={party} tone="yellow">
+                                              {label} pending
+                                            </Badge>
+                                          )
+                                        )}
+                                      </div>
+                                    </td>
+                                    <td className="p-4">
+                                      <div className="flex flex-wrap gap-2">
+                                        <Button variant="secondary" onClick={() => handlePrintDelegation(d)} title="Print Packet">
+                                          <Printer size={16} /> Print Packet
+                                        </Button>
+                                        <Button
+                                          variant="secondary"
+                                          onClick={() => openPacketEditor(d.id)}
+                                          disabled={!canCustomizePacket(d)}
+                                          title={canCustomizePacket(d) ? "Tailor packet for this resident" : "Packet frozen at signing"}
+                                        >
+                                          <FileText size={16} /> Tailor Packet
+                                        </Button>
+                                        <Button variant="secondary" onClick={() => openSign(d.id)} title="Sign">
+                                          <PenLine size={16} /> Sign
+                                        </Button>
+                                        <Button
+                                          variant="secondary"
+                                          onClick={() => openReauthModal(d.id)}
+                                          disabled={!!getResidentReauthorizationBlocker(d)}
+                                          title="Reauthorize"
+                                        >
+                                          <Calendar size={16} /> Reauthorize
+                                        </Button>
+                                        <Button
+                                          variant="danger"
+                                          onClick={() => openRescindModal(d.id)}
+                                          disabled={!canTransition(d, "RESCINDED")}
+                                          title="Rescind"
+                                        >
+                                          <Trash2 size={16} /> Rescind
+                                        </Button>
+                                        <Button variant="secondary" onClick={() => handleDownloadDelegationPDF(d)} title="Download PDF">
+                                          <Download size={16} /> Download PDF
+                                        </Button>
+                                        <Button
+                                          variant="secondary"
+                                          onClick={() => handleDownloadDelegationForm(d)}
+                                          title={getFormTemplate(findTask(d.taskId, d.taskVersion)) ? "Download Word form" : "No Word template uploaded for this task"}
+                                        >
+                                          <FileText size={16} /> Word Form
+                                        </Button>
+                                        <Button
+                                          variant="secondary"
+                                          onClick={() => openSupervisionModal(d.id)}
+                                          disabled={!["active", "expiring", "expired"].includes(d.status)}
+                                          title="Log supervision visit"
+                                        >
+                                          <CheckSquare size={16} /> Supervise
+                                        </Button>
+                                        {d.status === "suspended" && (
+                                          <Button variant="secondary" onClick={() => revalidateDelegation(d.id)} title={d.suspendedReason}>
+                                            <ShieldCheck size={16} /> Re-validate
+                                          </Button>
+                                        )}
+                                        <Button variant="ghost" onClick={() => openHistoryModal(d.id)} title="Authorization periods">
+                                          <Calendar size={16} /> History
+                                        </Button>
+                                      </div>
+                                    </td>
+                                  </tr>
+                                );
+                              })}
+                          </React.Fragment>
+                        );
+                      })
+                    ) : (
+                      <tr>
+                        <td className="p-6 text-gray-500" colSpan={8}>
+                          No delegations match your search.
+                        </td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            )}
           </div>
         )}
 
@@ -2035,9 +6190,14 @@ function DelegationManagementApp() {
           <div className="space-y-4">
             <div className="flex justify-between">
               <h2 className="text-2xl font-bold">Residents at {activeCommunity.name}</h2>
-              <Button onClick={() => setShowAddResident(true)}>
-                <Plus size={18} /> Add Resident
-              </Button>
+              <div className="flex gap-2">
+                <Button variant="secondary" onClick={openResidentImport}>
+                  <Upload size={18} /> Import CSV
+                </Button>
+                <Button onClick={() => setShowAddResident(true)}>
+                  <Plus size={18} /> Add Resident
+                </Button>
+              </div>
             </div>
 
             {residentFilter === "overdue" && (
@@ -2122,6 +6282,9 @@ function DelegationManagementApp() {
                 >
                   <Plus size={18} /> Log New Training
                 </Button>
+                <Button variant="secondary" onClick={openMedTechImport}>
+                  <Upload size={18} /> Import CSV
+                </Button>
                 <Button onClick={() => setShowAddMedTech(true)}>
                   <Plus size={18} /> Add Med-Tech
                 </Button>
@@ -2132,6 +6295,7 @@ function DelegationManagementApp() {
                 <thead className="text-left bg-gray-50 border-b">
                   <tr>
                     <th className="p-3">Name</th>
+                    <th className="p-3">Status</th>
                     <th className="p-3">Training</th>
                     <th className="p-3">Last Training Date</th>
                     <th className="p-3">Actions</th>
@@ -2145,9 +6309,16 @@ function DelegationManagementApp() {
                         : null;
                     const displayTraining = latest ? latest.topic : m.training;
                     const displayDate = latest ? formatDate(latest.date) : "—";
+                    const employment = EMPLOYMENT_STATUSES[getEmploymentStatus(m)];
                     return (
-                      <tr key={m.id} className="border-b">
+                      <tr key={m.id} className={`border-b ${isMedTechEmployed(m) ? "" : "text-gray-500"}`}>
                         <td className="p-3 font-semibold">{m.name}</td>
+                        <td className="p-3">
+                          <Badge tone={employment.tone}>{employment.label}</Badge>
+                          {m.employment?.effectiveDate && (
+                            <div className="text-xs text-gray-500 mt-1">since {formatDate(m.employment.effectiveDate)}</div>
+                          )}
+                        </td>
                         <td className="p-3">{displayTraining}</td>
                         <td className="p-3">{displayDate}</td>
                         <td className="p-3 flex gap-2">
@@ -2157,6 +6328,9 @@ function DelegationManagementApp() {
                           <Button variant="secondary" onClick={() => { setActiveMedTechId(m.id); setShowTrainingModal(true); }}>
                             <BookOpen size={16} /> View Training
                           </Button>
+                          <Button variant="secondary" onClick={() => openEmploymentModal(m.id)}>
+                            <Briefcase size={16} /> Employment
+                          </Button>
                         </td>
                       </tr>
                     );
@@ -2172,7 +6346,19 @@ function DelegationManagementApp() {
             <div className="flex justify-between mb-4">
               <h2 className="text-2xl font-bold">Community Administration Menu</h2>
               <div className="flex gap-2">
-                <Button onClick={() => alert("Forms feature coming soon.")}>
+                <Button variant="secondary" onClick={handleExportBackup} title="Download a JSON backup of all data">
+                  <Download size={18} /> Export Backup
+                </Button>
+                <Button variant="secondary" onClick={openRestoreModal} title="Restore data from a JSON backup">
+                  <Upload size={18} /> Import Backup
+                </Button>
+                <Button variant="secondary" onClick={openSurveyArchive} title="Download everything a surveyor asks for as one zip">
+                  <Archive size={18} /> Survey Archive
+                </Button>
+                <Button variant="secondary" onClick={() => { setTaskEditor(null); setShowTaskCatalog(true); }}>
+                  <ClipboardList size={18} /> Task Catalog
+                </Button>
+                <Button onClick={() => setShowFormTemplates(true)}>
                   <FileText size={18} /> Forms
                 </Button>
                 <Button onClick={handleAddCommunity}>
@@ -2230,295 +6416,204 @@ function DelegationManagementApp() {
 
       {/* MODALS */}
       <Modal
-        title="New Delegation"
+        title={newDelegationDraftId ? "Resume Draft Delegation" : "New Delegation"}
         open={showNewDelegation}
-        onClose={() => setShowNewDelegation(false)}
-        footer={<Button onClick={createDelegation}>Create</Button>}
+        onClose={closeNewDelegation}
+        footer={
+          <div className="flex justify-between">
+            <Button variant="secondary" onClick={saveNewDelegationDraft}>
+              <Save size={16} /> Save Draft
+            </Button>
+            <div className="flex gap-2">
+              {newDelegationStep > 0 && (
+                <Button variant="secondary" onClick={() => goToNewDelegationStep(newDelegationStep - 1)}>
+                  Back
+                </Button>
+              )}
+              {newDelegationStep < NEW_DELEGATION_STEPS.length - 1 ? (
+                <Button onClick={() => goToNewDelegationStep(newDelegationStep + 1)}>Next</Button>
+              ) : (
+                <Button onClick={createDelegation}>Create</Button>
+              )}
+            </div>
+          </div>
+        }
       >
-        <div className="grid grid-cols-2 gap-4">
-          <div>
-            <Label>Resident</Label>
-            <select
-              className="w-full border p-2 rounded"
-              value={newDelegation.residentId}
-              onChange={(e) => setNewDelegation({ ...newDelegation, residentId: e.target.value })}
+        <div className="flex gap-2 mb-4">
+          {NEW_DELEGATION_STEPS.map((step, i) => (
+            <button
+              key={step.id}
+              onClick={() => i < newDelegationStep && goToNewDelegationStep(i)}
+              className={`flex-1 text-xs font-semibold rounded-lg px-2 py-2 border ${
+                i === newDelegationStep
+                  ? "bg-indigo-600 text-white border-indigo-600"
+                  : i < newDelegationStep
+                  ? "bg-indigo-50 text-indigo-700 border-indigo-200"
+                  : "bg-white text-gray-400"
+              }`}
             >
-              <option value="">Select...</option>
-              {residents
-                .filter((r) => r.communityId === activeCommunityId || activeCommunityId === "all")
-                .map((r) => (
-                  <option key={r.id} value={r.id}>
-                    {r.name}
-                  </option>
-                ))}
-            </select>
-          </div>
+              {i + 1}. {step.label}
+            </button>
+          ))}
+        </div>
 
-          <div>
-            <Label>Med-Tech</Label>
-            <select
-              className="w-full border p-2 rounded"
-              value={newDelegation.medTechId}
-              onChange={(e) => setNewDelegation({ ...newDelegation, medTechId: e.target.value })}
-            >
-              <option value="">Select...</option>
-              {medTechs.map((m) => (
-                <option key={m.id} value={m.id}>
-                  {m.name}
-                </option>
-              ))}
-            </select>
-          </div>
+        {NEW_DELEGATION_STEPS[newDelegationStep].id === "selection" && (
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <Label>Resident</Label>
+              <select
+                className="w-full border p-2 rounded"
+                value={newDelegation.residentId}
+                onChange={(e) => setNewDelegation({ ...newDelegation, residentId: e.target.value })}
+              >
+                <option value="">Select...</option>
+                {residents
+                  .filter((r) => r.communityId === activeCommunityId || activeCommunityId === "all")
+                  .map((r) => (
+                    <option key={r.id} value={r.id}>
+                      {r.name}
+                    </option>
+                  ))}
+              </select>
+            </div>
 
-          <div>
-            <Label>Authorization Days (max {MAX_AUTH_DAYS})</Label>
-            <input
-              type="number"
-              className="w-full border p-2 rounded"
-              value={newDelegation.authDays}
-              onChange={(e) =>
-                setNewDelegation({
-                  ...newDelegation,
-                  authDays: clampNumber(Number(e.target.value || DEFAULT_AUTH_DAYS), 1, MAX_AUTH_DAYS),
-                })
-              }
-            />
-          </div>
+            <div>
+              <Label>Med-Tech</Label>
+              <select
+                className="w-full border p-2 rounded"
+                value={newDelegation.medTechId}
+                onChange={(e) => setNewDelegation({ ...newDelegation, medTechId: e.target.value })}
+              >
+                <option value="">Select...</option>
+                {medTechs.filter(isMedTechEmployed).map((m) => (
+                  <option key={m.id} value={m.id}>
+                    {m.name}
+                  </option>
+                ))}
+              </select>
+            </div>
 
-          <div>
-            <Label>Stable & Predictable (Required)</Label>
-            <div className="border rounded-xl p-3 space-y-2 bg-gray-50">
-              <Checkbox
-                label="Resident is stable and predictable (documented in medical record)"
-                checked={newDelegation.checklist.stableCondition}
-                onChange={(v) =>
-                  setNewDelegation((p) => ({
-                    ...p,
-                    checklist: { ...p.checklist, stableCondition: v },
-                  }))
-                }
-              />
-              <Checkbox
-                label="Environment is safe for delegation"
-                checked={newDelegation.checklist.safeEnvironment}
-                onChange={(v) =>
-                  setNewDelegation((p) => ({
-                    ...p,
-                    checklist: { ...p.checklist, safeEnvironment: v },
-                  }))
-                }
-              />
-              <Checkbox
-                label="UAP is willing to perform task"
-                checked={newDelegation.checklist.uapWilling}
-                onChange={(v) =>
-                  setNewDelegation((p) => ({
-                    ...p,
-                    checklist: { ...p.checklist, uapWilling: v },
-                  }))
+            <div>
+              <Label>Authorization Days (max {MAX_AUTH_DAYS})</Label>
+              <input
+                type="number"
+                className="w-full border p-2 rounded"
+                value={newDelegation.authDays}
+                onChange={(e) =>
+                  setNewDelegation({
+                    ...newDelegation,
+                    authDays: clampNumber(Number(e.target.value || DEFAULT_AUTH_DAYS), 1, MAX_AUTH_DAYS),
+                  })
                 }
               />
             </div>
-          </div>
 
-          <div className="col-span-2">
-            <Label>Competency Methods Used</Label>
-            <div className="grid grid-cols-3 gap-2 border rounded-xl p-3 bg-gray-50">
-              <Checkbox
-                label="Lecture"
-                checked={newDelegation.competencyMethods.lecture}
-                onChange={(v) =>
-                  setNewDelegation((p) => ({
-                    ...p,
-                    competencyMethods: { ...p.competencyMethods, lecture: v },
-                  }))
-                }
-              />
-              <Checkbox
-                label="Discussion"
-                checked={newDelegation.competencyMethods.discussion}
-                onChange={(v) =>
-                  setNewDelegation((p) => ({
-                    ...p,
-                    competencyMethods: { ...p.competencyMethods, discussion: v },
-                  }))
-                }
-              />
-              <Checkbox
-                label="Demonstration"
-                checked={newDelegation.competencyMethods.demonstration}
-                onChange={(v) =>
-                  setNewDelegation((p) => ({
-                    ...p,
-                    competencyMethods: { ...p.competencyMethods, demonstration: v },
-                  }))
-                }
-              />
-              <Checkbox
-                label="Return Demo"
-                checked={newDelegation.competencyMethods.returnDemonstration}
-                onChange={(v) =>
-                  setNewDelegation((p) => ({
-                    ...p,
-                    competencyMethods: { ...p.competencyMethods, returnDemonstration: v },
-                  }))
-                }
-              />
-              <Checkbox
-                label="Packet Reviewed"
-                checked={newDelegation.competencyMethods.packetReviewed}
-                onChange={(v) =>
-                  setNewDelegation((p) => ({
-                    ...p,
-                    competencyMethods: { ...p.competencyMethods, packetReviewed: v },
-                  }))
-                }
-              />
-              <Checkbox
-                label="Written Test"
-                checked={newDelegation.competencyMethods.writtenTest}
-                onChange={(v) =>
-                  setNewDelegation((p) => ({
-                    ...p,
-                    competencyMethods: { ...p.competencyMethods, writtenTest: v },
-                  }))
-                }
-              />
-              <Checkbox
-                label="Verbal Test"
-                checked={newDelegation.competencyMethods.verbalTest}
-                onChange={(v) =>
-                  setNewDelegation((p) => ({
-                    ...p,
-                    competencyMethods: { ...p.competencyMethods, verbalTest: v },
-                  }))
-                }
-              />
-              <Checkbox
-                label="Other"
-                checked={newDelegation.competencyMethods.other}
-                onChange={(v) =>
-                  setNewDelegation((p) => ({
-                    ...p,
-                    competencyMethods: { ...p.competencyMethods, other: v },
-                  }))
-                }
-              />
+            <div className="col-span-2">
+              <Label>Tasks</Label>
+              <div className="h-32 overflow-y-auto border p-2">
+                {currentTasks.map((t) => (
+                  <label key={t.id} className="flex gap-2">
+                    <input
+                      type="checkbox"
+                      checked={newDelegation.taskIds.includes(t.id)}
+                      onChange={(e) => {
+                        const s = new Set(newDelegation.taskIds);
+                        e.target.checked ? s.add(t.id) : s.delete(t.id);
+                        setNewDelegation({ ...newDelegation, taskIds: Array.from(s) });
+                      }}
+                    />{" "}
+                    {t.label}
+                  </label>
+                ))}
+              </div>
             </div>
+
+            {(newDelegation.residentId || newDelegation.medTechId) && (
+              <div className="col-span-2">
+                <Label>Eligibility</Label>
+                {selectionEligibility.length === 0 ? (
+                  <div className="border border-green-200 bg-green-50 rounded-xl p-3 text-sm text-green-800">
+                    No eligibility problems found{newDelegation.residentId && newDelegation.medTechId ? "." : " so far."}
+                  </div>
+                ) : (
+                  <ul className="border rounded-xl p-3 space-y-1 text-sm">
+                    {selectionEligibility.map((i, idx) => (
+                      <li key={idx} className="flex items-start gap-2">
+                        <Badge tone={i.severity === "block" ? "red" : "yellow"}>{i.severity === "block" ? "Blocks" : "Warning"}</Badge>
+                        <span className={i.severity === "block" ? "text-red-800" : "text-yellow-800"}>{i.message}</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
           </div>
+        )}
 
-          <div className="col-span-2">
-            <Label>Tasks</Label>
-            <div className="h-32 overflow-y-auto border p-2">
-              {DELEGATION_TASKS.map((t) => (
-                <label key={t.id} className="flex gap-2">
-                  <input
-                    type="checkbox"
-                    checked={newDelegation.taskIds.includes(t.id)}
-                    onChange={(e) => {
-                      const s = new Set(newDelegation.taskIds);
-                      e.target.checked ? s.add(t.id) : s.delete(t.id);
-                      setNewDelegation({ ...newDelegation, taskIds: Array.from(s) });
-                    }}
-                  />{" "}
-                  {t.label}
-                </label>
+        {NEW_DELEGATION_STEPS[newDelegationStep].id === "checklist" && (
+          <div>
+            <Label>OBN Delegation Checklist (Stable & Predictable Required)</Label>
+            <div className="border rounded-xl p-3 space-y-2 bg-gray-50">
+              {Object.entries(OBN_CHECKLIST_ITEMS).map(([k, label]) => (
+                <Checkbox
+                  key={k}
+                  label={label}
+                  checked={!!newDelegation.checklist[k]}
+                  onChange={(v) => setNewDelegation((p) => ({ ...p, checklist: { ...p.checklist, [k]: v } }))}
+                />
               ))}
             </div>
           </div>
+        )}
 
-          {/* --- Structured Justification (replaces single narrative box) --- */}
-          <div className="col-span-2">
-            <div className="bg-gray-50 border rounded-xl p-3">
-              <div className="font-bold text-gray-900 mb-2">Justification (Required)</div>
-
-              <div className="space-y-3">
-                <div>
-                  <Label>Length of time RN has worked with employee being delegated:</Label>
-                  <input
-                    className="w-full border p-2 rounded"
-                    value={newDelegation.justification.rnWorkedWithEmployeeLength}
-                    onChange={(e) =>
-                      setNewDelegation((p) => ({
-                        ...p,
-                        justification: { ...p.justification, rnWorkedWithEmployeeLength: e.target.value },
-                      }))
-                    }
-                  />
-                </div>
-
-                <div>
-                  <Label>Document method of training/delegating task of administering insulin, including rationale:</Label>
-                  <textarea
-                    className="w-full border p-2 rounded h-24"
-                    value={newDelegation.justification.trainingMethodAndRationale}
-                    onChange={(e) =>
-                      setNewDelegation((p) => ({
-                        ...p,
-                        justification: { ...p.justification, trainingMethodAndRationale: e.target.value },
-                      }))
+        {NEW_DELEGATION_STEPS[newDelegationStep].id === "competency" && (
+          <div className="space-y-4">
+            <div>
+              <Label>Competency Methods Used</Label>
+              <div className="grid grid-cols-3 gap-2 border rounded-xl p-3 bg-gray-50">
+                {Object.entries(COMPETENCY_METHODS).map(([k, label]) => (
+                  <Checkbox
+                    key={k}
+                    label={label}
+                    checked={!!newDelegation.competencyMethods[k]}
+                    onChange={(v) =>
+                      setNewDelegation((p) => ({ ...p, competencyMethods: { ...p.competencyMethods, [k]: v } }))
                     }
                   />
+                ))}
+              </div>
+            </div>
+            {newDelegation.taskIds
+              .map((id) => findTask(id))
+              .filter((t) => t?.requiredCompetencyMethods.length)
+              .map((t) => (
+                <div key={t.id} className="text-sm text-gray-600">
+                  {t.label} requires: {t.requiredCompetencyMethods.map((k) => COMPETENCY_METHODS[k] || k).join(", ")}
                 </div>
+              ))}
+          </div>
+        )}
 
-                <div className="grid grid-cols-2 gap-3">
-                  <div>
-                    <Label>Length of time employee has given insulin (within your community):</Label>
-                    <input
-                      className="w-full border p-2 rounded"
-                      value={newDelegation.justification.insulinExperienceCommunity}
-                      onChange={(e) =>
-                        setNewDelegation((p) => ({
-                          ...p,
-                          justification: { ...p.justification, insulinExperienceCommunity: e.target.value },
-                        }))
-                      }
-                    />
-                  </div>
-                  <div>
-                    <Label>Length of time employee has given insulin (total within career):</Label>
-                    <input
-                      className="w-full border p-2 rounded"
-                      value={newDelegation.justification.insulinExperienceCareer}
-                      onChange={(e) =>
-                        setNewDelegation((p) => ({
-                          ...p,
-                          justification: { ...p.justification, insulinExperienceCareer: e.target.value },
-                        }))
-                      }
-                    />
-                  </div>
-                </div>
-
-                <div>
-                  <Label>
-                    Length of time the employee has worked directly with the Resident being delegated and knowledge level of individualized signs and symptoms of hyper/hypoglycemia of this resident.
-                  </Label>
-                  <textarea
-                    className="w-full border p-2 rounded h-24"
-                    value={newDelegation.justification.residentWorkAndKnowledge}
-                    onChange={(e) =>
-                      setNewDelegation((p) => ({
-                        ...p,
-                        justification: { ...p.justification, residentWorkAndKnowledge: e.target.value },
-                      }))
-                    }
-                  />
-                </div>
+        {NEW_DELEGATION_STEPS[newDelegationStep].id === "justification" && (
+          <div>
+            <div className="bg-gray-50 border rounded-xl p-3">
+              <div className="font-bold text-gray-900 mb-2">Justification (Required)</div>
 
-                <div>
-                  <Label>Describe the willingness of the Unlicensed Professional to conduct the delegated task.</Label>
-                  <textarea
-                    className="w-full border p-2 rounded h-20"
-                    value={newDelegation.justification.willingnessDescription}
-                    onChange={(e) =>
-                      setNewDelegation((p) => ({
-                        ...p,
-                        justification: { ...p.justification, willingnessDescription: e.target.value },
-                      }))
+              <div className="space-y-3">
+                {newDelegationQuestions.length ? (
+                  <JustificationFields
+                    questions={newDelegationQuestions}
+                    values={newDelegation.justification}
+                    onChange={(justification) => setNewDelegation((p) => ({ ...p, justification }))}
+                    taskLabels={
+                      newDelegation.taskIds.length > 1
+                        ? Object.fromEntries(currentTasks.map((t) => [t.id, t.label]))
+                        : null
                     }
                   />
-                </div>
+                ) : (
+                  <div className="text-sm text-gray-500">Select a task to see its justification questions.</div>
+                )}
 
                 {/* Optional preview (no UI style change beyond a small box) */}
                 <div className="border rounded p-2 bg-white">
@@ -2529,23 +6624,134 @@ function DelegationManagementApp() {
                       authDays: clampNumber(Number(newDelegation.authDays || DEFAULT_AUTH_DAYS), 1, MAX_AUTH_DAYS),
                       stablePredictable: !!newDelegation.checklist.stableCondition,
                       fields: newDelegation.justification,
+                      questions: newDelegationQuestions,
                     })}
                   </div>
                 </div>
               </div>
             </div>
           </div>
+        )}
 
-          {formErrors?.length ? (
-            <div className="col-span-2 bg-red-50 border border-red-200 rounded-xl p-3 text-sm text-red-800">
-              <div className="font-bold mb-1">Please fix:</div>
-              <ul className="list-disc ml-5">
-                {formErrors.map((e, idx) => (
-                  <li key={idx}>{e}</li>
-                ))}
+        {NEW_DELEGATION_STEPS[newDelegationStep].id === "review" && (
+          <div className="space-y-3 text-sm">
+            <div className="grid grid-cols-2 gap-3 border rounded-xl p-3 bg-gray-50">
+              <div>
+                <div className="text-xs text-gray-500">Resident</div>
+                <div className="font-semibold">{residents.find((r) => r.id === newDelegation.residentId)?.name || "—"}</div>
+              </div>
+              <div>
+                <div className="text-xs text-gray-500">Med-Tech</div>
+                <div className="font-semibold">{medTechs.find((m) => m.id === newDelegation.medTechId)?.name || "—"}</div>
+              </div>
+              <div>
+                <div className="text-xs text-gray-500">Tasks</div>
+                <div className="font-semibold">
+                  {newDelegation.taskIds.map((id) => findTask(id)?.label || id).join(", ") || "—"}
+                </div>
+              </div>
+              <div>
+                <div className="text-xs text-gray-500">Authorization</div>
+                <div className="font-semibold">{newDelegation.authDays} days</div>
+              </div>
+              <div>
+                <div className="text-xs text-gray-500">OBN Checklist</div>
+                <div>
+                  {Object.keys(OBN_CHECKLIST_ITEMS).filter((k) => newDelegation.checklist[k]).length} of{" "}
+                  {Object.keys(OBN_CHECKLIST_ITEMS).length} confirmed
+                </div>
+              </div>
+              <div>
+                <div className="text-xs text-gray-500">Competency Methods</div>
+                <div>
+                  {Object.keys(COMPETENCY_METHODS)
+                    .filter((k) => newDelegation.competencyMethods[k])
+                    .map((k) => COMPETENCY_METHODS[k])
+                    .join(", ") || "None"}
+                </div>
+              </div>
+            </div>
+            {newDelegationEligibility.some((i) => i.severity === "warn") && (
+              <ul className="border rounded-xl p-3 space-y-1">
+                {newDelegationEligibility
+                  .filter((i) => i.severity === "warn")
+                  .map((i, idx) => (
+                    <li key={idx} className="flex items-start gap-2">
+                      <Badge tone="yellow">Warning</Badge>
+                      <span className="text-yellow-800">{i.message}</span>
+                    </li>
+                  ))}
               </ul>
+            )}
+            <div className="border rounded p-2 bg-white">
+              <div className="text-xs font-semibold text-gray-700 mb-1">Statement</div>
+              <div className="text-xs text-gray-600 whitespace-pre-wrap">
+                {composeDelegationJustificationText({
+                  rnName: activeCommunity?.rn?.name || "",
+                  authDays: clampNumber(Number(newDelegation.authDays || DEFAULT_AUTH_DAYS), 1, MAX_AUTH_DAYS),
+                  stablePredictable: !!newDelegation.checklist.stableCondition,
+                  fields: newDelegation.justification,
+                  questions: newDelegationQuestions,
+                })}
+              </div>
             </div>
-          ) : null}
+          </div>
+        )}
+
+        {formErrors?.length ? (
+          <div className="mt-4 bg-red-50 border border-red-200 rounded-xl p-3 text-sm text-red-800">
+            <div className="font-bold mb-1">Please fix:</div>
+            <ul className="list-disc ml-5">
+              {formErrors.map((e, idx) => (
+                <li key={idx}>{e}</li>
+              ))}
+            </ul>
+          </div>
+        ) : null}
+      </Modal>
+
+      <Modal
+        title="Overlapping Delegation"
+        open={overlapReview.length > 0}
+        onClose={() => setOverlapReviewIds([])}
+        footer={
+          <Button variant="danger" onClick={() => saveNewDelegations(overlapReviewIds)}>
+            Supersede & Create New
+          </Button>
+        }
+      >
+        <div className="space-y-3 text-sm">
+          <div>
+            This med-tech already holds the delegation(s) below for this resident. Reauthorize the existing one to continue it
+            as a new period, or create the new delegation and supersede the existing one once the new one is signed.
+            Reauthorizing drops only that task from this request; tasks that overlap nothing are still created.
+          </div>
+          <table className="w-full text-sm border">
+            <thead className="bg-gray-50 text-left">
+              <tr>
+                <th className="p-2">Task</th>
+                <th className="p-2">Status</th>
+                <th className="p-2">Period</th>
+                <th className="p-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {overlapReview.map((d) => (
+                <tr key={d.id} className="border-t">
+                  <td className="p-2">{findTask(d.taskId, d.taskVersion)?.label || d.taskId}</td>
+                  <td className="p-2">{statusBadge(d)}</td>
+                  <td className="p-2">
+                    {formatDate(d.startDate)} – {formatDate(d.endDate)}
+                  </td>
+                  <td className="p-2 text-right">
+                    <Button variant="secondary" onClick={() => reauthorizeInsteadOfDuplicate(d.id)}>
+                      <Calendar size={16} /> Reauthorize This
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
         </div>
       </Modal>
 
@@ -2658,12 +6864,48 @@ function DelegationManagementApp() {
 
       {/* Reauthorize: ask if authorization is still correct or corrections needed */}
       <Modal
-        title="Reauthorize"
+        title={reauthGroupIds.length ? "Reauthorize Group" : "Reauthorize"}
         open={showReauthModal}
         onClose={() => setShowReauthModal(false)}
         footer={<Button onClick={confirmReauth}>Confirm</Button>}
       >
         <div className="space-y-4">
+          {reauthGroupIds.length > 0 && (
+            <div>
+              <Label>Tasks to Reauthorize</Label>
+              <div className="border rounded-xl p-2 bg-gray-50">
+                {delegations
+                  .filter((d) => reauthGroupIds.includes(d.id))
+                  .map((d) => {
+                    const t = findTask(d.taskId, d.taskVersion);
+                    const blocker = getResidentReauthorizationBlocker(d);
+                    const label = `${t?.label || d.taskId} — period ${getPeriodNumber(d)}, ends ${formatDate(d.endDate)}`;
+                    if (blocker) {
+                      return (
+                        <div key={d.id} className="p-2 text-sm text-gray-500">
+                          {label}
+                          <div className="text-xs">{blocker}</div>
+                        </div>
+                      );
+                    }
+                    return (
+                      <Checkbox
+                        key={d.id}
+                        label={label}
+                        checked={!reauthOptOutIds.includes(d.id)}
+                        onChange={(v) =>
+                          setReauthOptOutIds((p) => (v ? p.filter((x) => x !== d.id) : [...p, d.id]))
+                        }
+                      />
+                    );
+                  })}
+              </div>
+              <div className="text-xs text-gray-500 mt-1">
+                Each selected task gets its own new period; the duration, criteria and observation below apply to all of them.
+              </div>
+            </div>
+          )}
+
           <div>
             <Label>Duration (Days)</Label>
             <input
@@ -2677,6 +6919,11 @@ function DelegationManagementApp() {
 
           <div className="border rounded-xl p-3 bg-gray-50">
             <Label>Is the current authorization criteria still correct?</Label>
+            {reauthGroupIds.length > 0 && (
+              <div className="text-xs text-gray-500">
+                "Still correct" keeps each task's own justification; corrections replace it on every selected task.
+              </div>
+            )}
             <div className="flex gap-6 text-sm mt-1">
               <label className="flex items-center gap-2">
                 <input
@@ -2697,63 +6944,15 @@ function DelegationManagementApp() {
             </div>
 
             {!reauthCriteriaUnchanged && (
-              <div className="mt-3 space-y-3">
-                <div>
-                  <Label>Length of time RN has worked with employee being delegated:</Label>
-                  <input
-                    className="w-full border p-2 rounded"
-                    value={reauthCriteriaFields.rnWorkedWithEmployeeLength}
-                    onChange={(e) => setReauthCriteriaFields((p) => ({ ...p, rnWorkedWithEmployeeLength: e.target.value }))}
-                  />
-                </div>
-
-                <div>
-                  <Label>Document method of training/delegating task of administering insulin, including rationale:</Label>
-                  <textarea
-                    className="w-full border p-2 rounded h-24"
-                    value={reauthCriteriaFields.trainingMethodAndRationale}
-                    onChange={(e) => setReauthCriteriaFields((p) => ({ ...p, trainingMethodAndRationale: e.target.value }))}
-                  />
-                </div>
-
-                <div className="grid grid-cols-2 gap-3">
-                  <div>
-                    <Label>Length of time employee has given insulin (within your community):</Label>
-                    <input
-                      className="w-full border p-2 rounded"
-                      value={reauthCriteriaFields.insulinExperienceCommunity}
-                      onChange={(e) => setReauthCriteriaFields((p) => ({ ...p, insulinExperienceCommunity: e.target.value }))}
-                    />
-                  </div>
-                  <div>
-                    <Label>Length of time employee has given insulin (total within career):</Label>
-                    <input
-                      className="w-full border p-2 rounded"
-                      value={reauthCriteriaFields.insulinExperienceCareer}
-                      onChange={(e) => setReauthCriteriaFields((p) => ({ ...p, insulinExperienceCareer: e.target.value }))}
-                    />
-                  </div>
-                </div>
-
-                <div>
-                  <Label>
-                    Length of time the employee has worked directly with the Resident being delegated and knowledge level of individualized signs and symptoms of hyper/hypoglycemia of this resident.
-                  </Label>
-                  <textarea
-                    className="w-full border p-2 rounded h-24"
-                    value={reauthCriteriaFields.residentWorkAndKnowledge}
-                    onChange={(e) => setReauthCriteriaFields((p) => ({ ...p, residentWorkAndKnowledge: e.target.value }))}
-                  />
-                </div>
-
-                <div>
-                  <Label>Describe the willingness of the Unlicensed Professional to conduct the delegated task.</Label>
-                  <textarea
-                    className="w-full border p-2 rounded h-20"
-                    value={reauthCriteriaFields.willingnessDescription}
-                    onChange={(e) => setReauthCriteriaFields((p) => ({ ...p, willingnessDescription: e.target.value }))}
-                  />
-                </div>
+              <div className="mt-3">
+                <JustificationFields
+                  questions={reauthQuestions}
+                  values={reauthCriteriaFields}
+                  onChange={setReauthCriteriaFields}
+                  taskLabels={
+                    reauthGroupIds.length > 1 ? Object.fromEntries(currentTasks.map((t) => [t.id, t.label])) : null
+                  }
+                />
               </div>
             )}
           </div>
@@ -2780,39 +6979,249 @@ function DelegationManagementApp() {
                 ))}
               </div>
 
-              {supervisionData.methods.other && (
-                <div>
-                  <Label>Other (details)</Label>
-                  <input
-                    className="w-full border p-2 rounded"
-                    value={supervisionData.otherNarrative}
-                    onChange={(e) =>
-                      setSupervisionData((p) => ({ ...p, otherNarrative: e.target.value }))
-                    }
-                    placeholder="Describe other method"
-                  />
+              {supervisionData.methods.other && (
+                <div>
+                  <Label>Other (details)</Label>
+                  <input
+                    className="w-full border p-2 rounded"
+                    value={supervisionData.otherNarrative}
+                    onChange={(e) =>
+                      setSupervisionData((p) => ({ ...p, otherNarrative: e.target.value }))
+                    }
+                    placeholder="Describe other method"
+                  />
+                </div>
+              )}
+            </div>
+          </div>
+
+        </div>
+      </Modal>
+
+      <Modal title="Authorization History" open={!!historyDelegation} onClose={() => setHistoryDelegationId(null)}>
+        {historyDelegation && (
+          <div className="space-y-4">
+            <div className="text-sm text-gray-600">
+              <b>{residents.find((x) => x.id === historyDelegation.residentId)?.name || "—"}</b> ·{" "}
+              {medTechs.find((x) => x.id === historyDelegation.medTechId)?.name || "—"} ·{" "}
+              {findTask(historyDelegation.taskId, historyDelegation.taskVersion)?.label || historyDelegation.taskId}
+            </div>
+
+            <div className="border rounded-xl p-3 bg-gray-50 flex flex-wrap items-center gap-3">
+              <Label>In force on</Label>
+              <input
+                type="date"
+                className="border p-1 rounded"
+                value={historyAsOf}
+                onChange={(e) => setHistoryAsOf(e.target.value)}
+              />
+              {historyInForce ? (
+                <>
+                  <Badge tone="green">Period {getPeriodNumber(historyInForce)}</Badge>
+                  <Button variant="secondary" onClick={() => handlePrintDelegation(historyInForce)}>
+                    <Printer size={16} /> Print as in force
+                  </Button>
+                </>
+              ) : (
+                <Badge tone="red">No signed authorization in force</Badge>
+              )}
+            </div>
+
+            <div className="border rounded overflow-hidden">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-50 text-left">
+                  <tr>
+                    <th className="p-2">Period</th>
+                    <th className="p-2">Dates</th>
+                    <th className="p-2">Status</th>
+                    <th className="p-2">Signed</th>
+                    <th className="p-2">Packet</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {historyChain.map((d) => (
+                    <React.Fragment key={d.id}>
+                      <tr className={`border-t ${historyInForce?.id === d.id ? "bg-green-50" : ""}`}>
+                        <td className="p-2 font-semibold">{getPeriodNumber(d)}</td>
+                        <td className="p-2">
+                          {formatDate(d.startDate)} – {formatDate(d.endDate)}
+                          <div className="text-xs text-gray-500">{d.authDays} days</div>
+                        </td>
+                        <td className="p-2">{statusBadge(d)}</td>
+                        <td className="p-2 text-xs">
+                          RN: {d.signatures?.rn?.signedAt ? formatDate(d.signatures.rn.signedAt) : "—"}
+                          <br />
+                          MT: {d.signatures?.mt?.signedAt ? formatDate(d.signatures.mt.signedAt) : "—"}
+                        </td>
+                        <td className="p-2">
+                          <Button variant="ghost" onClick={() => handlePrintDelegation(d)} title="Print this period's packet">
+                            <Printer size={14} />
+                          </Button>
+                        </td>
+                      </tr>
+                      <tr>
+                        <td colSpan={5} className="p-2 pt-0 text-xs text-gray-600 whitespace-pre-wrap">
+                          {d.authJustification}
+                        </td>
+                      </tr>
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </Modal>
+
+      <Modal
+        title="Supervision Visit"
+        open={showSupervisionModal}
+        onClose={() => setShowSupervisionModal(false)}
+        footer={<Button onClick={saveSupervisionLog}>Save Visit</Button>}
+      >
+        {selectedDelegation && (
+          <div className="space-y-4">
+            <div className="text-sm text-gray-600">
+              <b>{selectedResident?.name || "—"}</b> · {selectedMedTech?.name || "—"} · {selectedTask?.label || "—"}
+            </div>
+            <div className="border rounded-xl p-3 bg-gray-50 text-sm">
+              {(() => {
+                const due = getSupervisionDue(selectedDelegation);
+                return (
+                  <>
+                    <b>Currently due:</b> {formatDate(due.dueDate)} — {due.reason}
+                    {isSupervisionOverdue(selectedDelegation, TODAY) ? (
+                      <span className="ml-2"><Badge tone="red">Overdue</Badge></span>
+                    ) : null}
+                  </>
+                );
+              })()}
+            </div>
+
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <Label>Visit Date</Label>
+                <input
+                  type="date"
+                  className="w-full border p-2 rounded"
+                  value={supervisionVisitForm.date}
+                  onChange={(e) => setSupervisionVisitForm((p) => ({ ...p, date: e.target.value }))}
+                />
+              </div>
+              <div>
+                <Label>Supervising RN</Label>
+                <input
+                  className="w-full border p-2 rounded"
+                  value={supervisionVisitForm.rnName}
+                  onChange={(e) => setSupervisionVisitForm((p) => ({ ...p, rnName: e.target.value }))}
+                />
+              </div>
+            </div>
+
+            <div>
+              <Label>Observation Methods</Label>
+              <div className="grid grid-cols-2 gap-2 border rounded-xl p-3 bg-gray-50">
+                {Object.entries(SUPERVISION_METHODS).map(([k, label]) => (
+                  <Checkbox
+                    key={k}
+                    label={label}
+                    checked={supervisionVisitForm.methods[k]}
+                    onChange={(v) =>
+                      setSupervisionVisitForm((p) => ({ ...p, methods: { ...p.methods, [k]: v } }))
+                    }
+                  />
+                ))}
+              </div>
+              {supervisionVisitForm.methods.other && (
+                <input
+                  className="w-full border p-2 rounded mt-2"
+                  placeholder="Describe other method..."
+                  value={supervisionVisitForm.otherNarrative}
+                  onChange={(e) => setSupervisionVisitForm((p) => ({ ...p, otherNarrative: e.target.value }))}
+                />
+              )}
+            </div>
+
+            <div>
+              <Label>Findings</Label>
+              <textarea
+                className="w-full border p-2 rounded h-24"
+                value={supervisionVisitForm.findings}
+                onChange={(e) => setSupervisionVisitForm((p) => ({ ...p, findings: e.target.value }))}
+              />
+            </div>
+
+            <div>
+              <Label>Outcome</Label>
+              <div className="flex flex-wrap gap-6 text-sm">
+                {Object.entries(SUPERVISION_OUTCOMES).map(([k, o]) => (
+                  <label key={k} className="flex items-center gap-2">
+                    <input
+                      type="radio"
+                      checked={supervisionVisitForm.outcome === k}
+                      onChange={() => setSupervisionVisitForm((p) => ({ ...p, outcome: k }))}
+                    />
+                    {o.label}
+                  </label>
+                ))}
+              </div>
+              <div className="text-xs text-gray-500 mt-1">
+                Next visit will be due{" "}
+                {formatDate(
+                  getSupervisionDue({
+                    ...selectedDelegation,
+                    supervisionHistory: [
+                      ...(selectedDelegation.supervisionHistory || []),
+                      { date: supervisionVisitForm.date || TODAY, outcome: supervisionVisitForm.outcome },
+                    ],
+                  }).dueDate
+                )}
+                {supervisionVisitForm.outcome === "rescind" ? " (delegation will be rescinded)" : ""}
+              </div>
+            </div>
+
+            {(selectedDelegation.supervisionHistory || []).length > 0 && (
+              <div>
+                <h3 className="font-bold">Previous Visits</h3>
+                <div className="border rounded overflow-hidden mt-1">
+                  <table className="w-full text-xs">
+                    <thead className="bg-gray-50 text-left">
+                      <tr>
+                        <th className="p-2">Date</th>
+                        <th className="p-2">RN</th>
+                        <th className="p-2">Methods</th>
+                        <th className="p-2">Findings</th>
+                        <th className="p-2">Outcome</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {getSupervisionVisits(selectedDelegation)
+                        .reverse()
+                        .map((v) => (
+                          <tr key={v.id} className="border-t align-top">
+                            <td className="p-2">{formatDate(v.date)}</td>
+                            <td className="p-2">{v.rnName}</td>
+                            <td className="p-2">
+                              {Object.keys(SUPERVISION_METHODS)
+                                .filter((k) => v.methods?.[k])
+                                .map((k) => (k === "other" && v.otherNarrative ? `Other: ${v.otherNarrative}` : SUPERVISION_METHODS[k]))
+                                .join(", ")}
+                            </td>
+                            <td className="p-2 whitespace-pre-wrap">{v.findings}</td>
+                            <td className="p-2">
+                              <Badge tone={SUPERVISION_OUTCOMES[v.outcome]?.tone || "gray"}>
+                                {SUPERVISION_OUTCOMES[v.outcome]?.label || v.outcome}
+                              </Badge>
+                            </td>
+                          </tr>
+                        ))}
+                    </tbody>
+                  </table>
                 </div>
-              )}
-            </div>
+              </div>
+            )}
           </div>
-
-        </div>
-      </Modal>
-
-      <Modal
-        title="Rescind"
-        open={showRescindModal}
-        onClose={() => setShowRescindModal(false)}
-        footer={
-          <Button variant="danger" onClick={confirmRescind}>
-            Confirm
-          </Button>
-        }
-      >
-        <div>
-          <Label>Reason</Label>
-          <textarea className="w-full border p-2 rounded" value={rescindReason} onChange={(e) => setRescindReason(e.target.value)} />
-        </div>
+        )}
       </Modal>
 
       <Modal
@@ -2884,9 +7293,51 @@ function DelegationManagementApp() {
                 <Button variant="secondary" size="sm" onClick={() => openAssessmentModal(viewingResident.id)}>
                   <Plus size={14} /> New Assessment
                 </Button>
+                <Button
+                  variant="secondary"
+                  onClick={() => handleBinder(getResidentBinder(viewingResident), "print")}
+                  title="Print face sheet, latest assessment and every delegation packet"
+                >
+                  <Printer size={14} /> Binder
+                </Button>
+                <Button
+                  variant="secondary"
+                  onClick={() => handleBinder(getResidentBinder(viewingResident), "pdf")}
+                  title="Download face sheet, latest assessment and every delegation packet as one PDF"
+                >
+                  <Download size={14} /> PDF
+                </Button>
               </div>
             </div>
 
+            {viewingResidentSuspended.length > 0 && (
+              <div className="border border-red-200 bg-red-50 rounded-xl p-3 text-sm space-y-2">
+                <div className="font-semibold text-red-800 flex items-center gap-2">
+                  <AlertTriangle size={16} /> {viewingResidentSuspended.length} delegation(s) suspended
+                </div>
+                <div className="text-red-700">
+                  Med-techs may not perform these tasks until the RN rescinds or re-validates each delegation.
+                </div>
+                {viewingResidentSuspended.map((d) => (
+                  <div key={d.id} className="flex items-center justify-between gap-2 bg-white border border-red-100 rounded-lg p-2">
+                    <div>
+                      <b>{medTechs.find((m) => m.id === d.medTechId)?.name || "—"}</b> ·{" "}
+                      {findTask(d.taskId, d.taskVersion)?.label || d.taskId}
+                      <div className="text-xs text-gray-500">{d.suspendedReason}</div>
+                    </div>
+                    <div className="flex gap-1">
+                      <Button variant="secondary" className="text-xs h-auto py-1" onClick={() => revalidateDelegation(d.id)}>
+                        <ShieldCheck size={14} /> Re-validate
+                      </Button>
+                      <Button variant="danger" className="text-xs h-auto py-1" onClick={() => openRescindModal(d.id)}>
+                        <Trash2 size={14} /> Rescind
+                      </Button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
             <div className="grid grid-cols-2 gap-4 text-sm">
               <div className="border p-2 rounded">
                 <b>Diagnosis:</b>{" "}
@@ -2935,6 +7386,17 @@ function DelegationManagementApp() {
                         <Button variant="ghost" onClick={() => printAssessment({ orgName: activeCommunity.name, resident: viewingResident, assessment: a })}>
                           <Printer size={14} />
                         </Button>
+                        <Button
+                          variant="ghost"
+                          title="Download PDF"
+                          onClick={() =>
+                            downloadAssessmentPDF({ orgName: activeCommunity.name, resident: viewingResident, assessment: a }).catch((err) =>
+                              alert(`Could not build the PDF: ${err.message}`)
+                            )
+                          }
+                        >
+                          <Download size={14} />
+                        </Button>
                       </td>
                     </tr>
                   ))}
@@ -2955,7 +7417,7 @@ function DelegationManagementApp() {
                 <tbody>
                   {viewingResidentDelegations.map((d) => {
                     const m = medTechs.find((x) => x.id === d.medTechId);
-                    const t = DELEGATION_TASKS.find((x) => x.id === d.taskId);
+                    const t = findTask(d.taskId, d.taskVersion);
                     return (
                       <tr key={d.id} className="border-t">
                         <td className="p-2">{m?.name}</td>
@@ -2979,74 +7441,570 @@ function DelegationManagementApp() {
       </Modal>
 
       <Modal
-        title="Log Diabetic/Condition Assessment"
-        open={showAssessmentModal}
-        onClose={() => setShowAssessmentModal(false)}
-        footer={<Button onClick={saveAssessment}>Save</Button>}
+        title="Rescind"
+        open={showRescindModal}
+        onClose={() => setShowRescindModal(false)}
+        footer={
+          <Button variant="danger" onClick={confirmRescind}>
+            Confirm
+          </Button>
+        }
+      >
+        <div>
+          <Label>Reason</Label>
+          <textarea className="w-full border p-2 rounded" value={rescindReason} onChange={(e) => setRescindReason(e.target.value)} />
+        </div>
+      </Modal>
+
+      <Modal
+        title="Tailor Packet"
+        open={!!packetEditor}
+        onClose={() => setPacketEditor(null)}
+        footer={
+          <Button onClick={savePacketEditor}>
+            <Save size={16} /> Save
+          </Button>
+        }
+      >
+        {packetEditor &&
+          (() => {
+            const d = delegations.find((x) => x.id === packetEditor.delegationId);
+            const task = findTask(d.taskId, d.taskVersion);
+            const r = residents.find((x) => x.id === d.residentId);
+            return (
+              <div className="space-y-4">
+                <div className="text-sm text-gray-600">
+                  {r?.name} · {task?.label}. These additions print with the task template and are frozen once the period is
+                  signed.
+                </div>
+                <div className="border rounded-xl p-3 bg-gray-50 text-sm">
+                  <div className="font-semibold">Template steps (v{task?.version})</div>
+                  <ol className="list-decimal ml-5 text-gray-600">
+                    {(task?.packet.steps || []).map((step, i) => (
+                      <li key={i}>{step}</li>
+                    ))}
+                  </ol>
+                </div>
+                {Object.entries(PACKET_CUSTOMIZATION_FIELDS).map(([k, label]) => (
+                  <div key={k}>
+                    <Label>{label} (one per line)</Label>
+                    <textarea
+                      className="w-full border p-2 rounded h-20"
+                      value={packetEditor[k]}
+                      onChange={(e) => setPacketEditor({ ...packetEditor, [k]: e.target.value })}
+                    />
+                  </div>
+                ))}
+              </div>
+            );
+          })()}
+      </Modal>
+
+      <Modal
+        title="Log Diabetic/Condition Assessment"
+        open={showAssessmentModal}
+        onClose={() => setShowAssessmentModal(false)}
+        footer={<Button onClick={saveAssessment}>Save</Button>}
+      >
+        <div className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <Label>Assessment Date</Label>
+              <input
+                type="date"
+                className="w-full border p-2 rounded"
+                value={assessmentForm.date}
+                onChange={(e) => updateAssessmentForm("date", e.target.value)}
+              />
+            </div>
+            <div>
+              <Label>Type</Label>
+              <select
+                className="w-full border p-2 rounded"
+                value={assessmentForm.type}
+                onChange={(e) => updateAssessmentForm("type", e.target.value)}
+              >
+                <option>Quarterly</option>
+                <option>Initial</option>
+                <option>Change of Condition</option>
+              </select>
+            </div>
+          </div>
+          <div className="p-2 bg-gray-50 border rounded">
+            <Label>Next Due Date</Label>
+            <div className="flex gap-2 items-center">
+              <input
+                type="date"
+                className="border p-1 rounded"
+                value={assessmentForm.nextDueDate}
+                onChange={(e) => setAssessmentForm({ ...assessmentForm, nextDueDate: e.target.value })}
+              />
+              <span className="text-xs text-gray-500">
+                {assessmentForm.type === "Change of Condition" ? "Manually set date" : "Auto-calculated (90 days)"}
+              </span>
+            </div>
+          </div>
+          <div>
+            <Label>RN Determination</Label>
+            <div className="flex gap-4">
+              <label>
+                <input type="radio" checked={assessmentForm.stable} onChange={() => setAssessmentForm({ ...assessmentForm, stable: true })} /> Stable & Predictable (Safe to delegate)
+              </label>
+              <label>
+                <input type="radio" checked={!assessmentForm.stable} onChange={() => setAssessmentForm({ ...assessmentForm, stable: false })} /> Unstable / Unpredictable
+              </label>
+            </div>
+          </div>
+          <div>
+            <Label>RN Diabetic Assessment (Narrative)</Label>
+            <textarea
+              className="w-full border p-2 rounded h-32"
+              value={assessmentForm.notes}
+              onChange={(e) => setAssessmentForm({ ...assessmentForm, notes: e.target.value })}
+            />
+          </div>
+          <div className="mt-2 border rounded-xl p-1 bg-gray-50">
+            <Checkbox
+              label="Resident and/or legally authorized representative was notified that insulin administration will be performed by an Unlicensed Person pursuant to Registered Nurse (RN) delegation. The (RN) provided initial instruction and competency validation and will maintain ongoing supervision, evaluation, and reauthorization monitoring per their respective Board of Nursing, state regulations, and facility policies and procedures. Resident/representative voiced understanding and agreement"
+              checked={assessmentForm.residentNotification}
+              onChange={(v) => setAssessmentForm({ ...assessmentForm, residentNotification: v })}
+            />
+          </div>
+        </div>
+      </Modal>
+
+      <Modal
+        title="Employment Status"
+        open={showEmploymentModal}
+        onClose={() => setShowEmploymentModal(false)}
+        footer={<Button onClick={saveEmploymentStatus}>Save</Button>}
+      >
+        {employmentMedTech && (
+          <div className="space-y-4">
+            <div className="flex items-center gap-2">
+              <b>{employmentMedTech.name}</b>
+              <Badge tone={EMPLOYMENT_STATUSES[getEmploymentStatus(employmentMedTech)].tone}>
+                {EMPLOYMENT_STATUSES[getEmploymentStatus(employmentMedTech)].label}
+              </Badge>
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <Label>New Status</Label>
+                <select
+                  className="w-full border p-2 rounded"
+                  value={employmentForm.status}
+                  onChange={(e) => setEmploymentForm({ ...employmentForm, status: e.target.value })}
+                >
+                  {Object.entries(EMPLOYMENT_STATUSES).map(([k, s]) => (
+                    <option key={k} value={k}>
+                      {s.label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <Label>Effective Date</Label>
+                <input
+                  type="date"
+                  className="w-full border p-2 rounded"
+                  value={employmentForm.effectiveDate}
+                  onChange={(e) => setEmploymentForm({ ...employmentForm, effectiveDate: e.target.value })}
+                />
+              </div>
+            </div>
+            <div>
+              <Label>Notes</Label>
+              <textarea
+                className="w-full border p-2 rounded"
+                value={employmentForm.notes}
+                onChange={(e) => setEmploymentForm({ ...employmentForm, notes: e.target.value })}
+              />
+            </div>
+
+            {employmentCascade?.affected.length > 0 && (
+              <div className="border border-red-200 bg-red-50 rounded-xl p-3 text-sm">
+                <div className="font-semibold text-red-800 mb-1">
+                  {employmentCascade.action === "RESCINDED" ? "Will be rescinded" : "Will be suspended"} (
+                  {employmentCascade.affected.length})
+                </div>
+                <ul className="list-disc pl-5 text-red-700">
+                  {employmentCascade.affected.map((d) => (
+                    <li key={d.id}>
+                      {residents.find((r) => r.id === d.residentId)?.name || "—"} ·{" "}
+                      {findTask(d.taskId, d.taskVersion)?.label || d.taskId} ·{" "}
+                      {getDelegationDisplayStatus(d)}
+                    </li>
+                  ))}
+                </ul>
+                <div className="text-xs text-gray-600 mt-2">Reason recorded: {employmentCascade.reason}</div>
+              </div>
+            )}
+
+            {(employmentMedTech.employmentHistory || []).length > 0 && (
+              <div>
+                <h3 className="font-bold">History</h3>
+                <table className="w-full text-xs border mt-1">
+                  <thead className="bg-gray-50 text-left">
+                    <tr>
+                      <th className="p-2">Effective</th>
+                      <th className="p-2">Status</th>
+                      <th className="p-2">Notes</th>
+                      <th className="p-2">Delegations</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {[...employmentMedTech.employmentHistory].reverse().map((h, i) => (
+                      <tr key={i} className="border-t">
+                        <td className="p-2">{formatDate(h.effectiveDate)}</td>
+                        <td className="p-2">{EMPLOYMENT_STATUSES[h.status]?.label || h.status}</td>
+                        <td className="p-2">{h.notes}</td>
+                        <td className="p-2">{h.affectedDelegationIds?.length || 0}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+      </Modal>
+
+      <Modal
+        title={taskEditor ? (taskEditor.taskId ? "Edit Task" : "New Task") : "Task Catalog"}
+        open={showTaskCatalog}
+        onClose={() => setShowTaskCatalog(false)}
+        footer={
+          taskEditor ? (
+            <div className="flex justify-end gap-2">
+              <Button variant="secondary" onClick={() => setTaskEditor(null)}>
+                Back
+              </Button>
+              <Button onClick={saveTaskEditor}>
+                <Save size={16} /> {taskEditor.taskId ? "Save New Version" : "Add Task"}
+              </Button>
+            </div>
+          ) : (
+            <Button onClick={() => openTaskEditor(null)}>
+              <Plus size={16} /> New Task
+            </Button>
+          )
+        }
+      >
+        {taskEditor ? (
+          <div className="space-y-4">
+            {taskEditor.taskId && (
+              <div className="text-xs text-gray-500">
+                Saving creates version {findTask(taskEditor.taskId).version + 1}. Existing delegations keep the version they
+                were created against.
+              </div>
+            )}
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <Label>Label</Label>
+                <input
+                  className="w-full border p-2 rounded"
+                  value={taskEditor.label}
+                  onChange={(e) => setTaskEditor({ ...taskEditor, label: e.target.value })}
+                />
+              </div>
+              <div>
+                <Label>Form Template</Label>
+                <input
+                  className="w-full border p-2 rounded"
+                  value={taskEditor.formTemplate}
+                  onChange={(e) => setTaskEditor({ ...taskEditor, formTemplate: e.target.value })}
+                />
+              </div>
+            </div>
+            <div>
+              <Label>Training Keywords (comma-separated, matched against transcripts)</Label>
+              <input
+                className="w-full border p-2 rounded"
+                value={taskEditor.trainingKeywords}
+                onChange={(e) => setTaskEditor({ ...taskEditor, trainingKeywords: e.target.value })}
+              />
+            </div>
+            {[
+              ["steps", "Steps (one per line)"],
+              ["watchFor", "Watch For (one per line)"],
+              ["actionIfOccurs", "Action If Occurs (one per line)"],
+            ].map(([k, label]) => (
+              <div key={k}>
+                <Label>{label}</Label>
+                <textarea
+                  className="w-full border p-2 rounded h-24"
+                  value={taskEditor[k]}
+                  onChange={(e) => setTaskEditor({ ...taskEditor, [k]: e.target.value })}
+                />
+              </div>
+            ))}
+            <div>
+              <Label>Required Competency Methods</Label>
+              <div className="grid grid-cols-4 gap-2 border rounded-xl p-3 bg-gray-50">
+                {Object.entries(COMPETENCY_METHODS).map(([k, label]) => (
+                  <Checkbox
+                    key={k}
+                    label={label}
+                    checked={taskEditor.requiredCompetencyMethods.includes(k)}
+                    onChange={(v) =>
+                      setTaskEditor((p) => ({
+                        ...p,
+                        requiredCompetencyMethods: v
+                          ? [...p.requiredCompetencyMethods, k]
+                          : p.requiredCompetencyMethods.filter((x) => x !== k),
+                      }))
+                    }
+                  />
+                ))}
+              </div>
+            </div>
+            <div>
+              <Label>Justification Questions</Label>
+              <div className="space-y-2 border rounded-xl p-3 bg-gray-50">
+                {taskEditor.justificationQuestions.map((q, i) => {
+                  const update = (patch) =>
+                    setTaskEditor((p) => ({
+                      ...p,
+                      justificationQuestions: p.justificationQuestions.map((x, j) => (j === i ? { ...x, ...patch } : x)),
+                    }));
+                  return (
+                    <div key={q.key} className="flex items-center gap-2">
+                      <input
+                        className="flex-1 border p-2 rounded bg-white"
+                        value={q.label}
+                        onChange={(e) => update({ label: e.target.value })}
+                      />
+                      <Checkbox label="Long answer" checked={!!q.multiline} onChange={(v) => update({ multiline: v })} />
+                      <Button
+                        variant="ghost"
+                        onClick={() =>
+                          setTaskEditor((p) => ({
+                            ...p,
+                            justificationQuestions: p.justificationQuestions.filter((_, j) => j !== i),
+                          }))
+                        }
+                      >
+                        <Trash2 size={16} />
+                      </Button>
+                    </div>
+                  );
+                })}
+                <Button
+                  variant="secondary"
+                  onClick={() =>
+                    setTaskEditor((p) => ({
+                      ...p,
+                      justificationQuestions: [...p.justificationQuestions, { key: uid("q"), label: "", multiline: false }],
+                    }))
+                  }
+                >
+                  <Plus size={16} /> Add Question
+                </Button>
+              </div>
+            </div>
+            {taskEditor.taskId && (
+              <div>
+                <h3 className="font-bold">Versions</h3>
+                <ul className="text-xs text-gray-600 mt-1 space-y-1">
+                  {[...taskCatalog.find((t) => t.id === taskEditor.taskId).versions].reverse().map((v) => (
+                    <li key={v.version}>
+                      v{v.version} · {v.createdAt ? formatDate(v.createdAt.slice(0, 10)) : "built-in"} · {v.label} ·{" "}
+                      {delegations.filter((d) => d.taskId === taskEditor.taskId && (d.taskVersion || 1) === v.version).length}{" "}
+                      delegation(s)
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-left">
+              <tr>
+                <th className="p-2">Task</th>
+                <th className="p-2">Version</th>
+                <th className="p-2">Steps</th>
+                <th className="p-2">Delegations</th>
+                <th className="p-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {currentTasks.map((t) => (
+                <tr key={t.id} className="border-t">
+                  <td className="p-2 font-semibold">{t.label}</td>
+                  <td className="p-2">v{t.version}</td>
+                  <td className="p-2">{t.packet.steps.length}</td>
+                  <td className="p-2">{delegations.filter((d) => d.taskId === t.id).length}</td>
+                  <td className="p-2 text-right">
+                    <Button variant="secondary" onClick={() => openTaskEditor(t.id)}>
+                      <Edit2 size={14} /> Edit
+                    </Button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </Modal>
+
+      <Modal
+        title="Survey Archive"
+        open={!!surveyArchiveForm}
+        onClose={() => setSurveyArchiveForm(null)}
+        footer={
+          <Button onClick={downloadSurveyArchive}>
+            <Download size={16} /> Download Archive
+          </Button>
+        }
       >
-        <div className="space-y-4">
-          <div className="grid grid-cols-2 gap-4">
-            <div>
-              <Label>Assessment Date</Label>
-              <input
-                type="date"
-                className="w-full border p-2 rounded"
-                value={assessmentForm.date}
-                onChange={(e) => updateAssessmentForm("date", e.target.value)}
-              />
-            </div>
+        {surveyArchiveForm && (
+          <div className="space-y-4">
             <div>
-              <Label>Type</Label>
+              <Label>Community</Label>
               <select
                 className="w-full border p-2 rounded"
-                value={assessmentForm.type}
-                onChange={(e) => updateAssessmentForm("type", e.target.value)}
+                value={surveyArchiveForm.communityId}
+                onChange={(e) => setSurveyArchiveForm({ ...surveyArchiveForm, communityId: e.target.value })}
               >
-                <option>Quarterly</option>
-                <option>Initial</option>
-                <option>Change of Condition</option>
+                {communities.map((c) => (
+                  <option key={c.id} value={c.id}>
+                    {c.name}
+                  </option>
+                ))}
               </select>
             </div>
-          </div>
-          <div className="p-2 bg-gray-50 border rounded">
-            <Label>Next Due Date</Label>
-            <div className="flex gap-2 items-center">
-              <input
-                type="date"
-                className="border p-1 rounded"
-                value={assessmentForm.nextDueDate}
-                onChange={(e) => setAssessmentForm({ ...assessmentForm, nextDueDate: e.target.value })}
-              />
-              <span className="text-xs text-gray-500">
-                {assessmentForm.type === "Change of Condition" ? "Manually set date" : "Auto-calculated (90 days)"}
-              </span>
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <Label>From</Label>
+                <input
+                  type="date"
+                  className="w-full border p-2 rounded"
+                  value={surveyArchiveForm.from}
+                  onChange={(e) => setSurveyArchiveForm({ ...surveyArchiveForm, from: e.target.value })}
+                />
+              </div>
+              <div>
+                <Label>To</Label>
+                <input
+                  type="date"
+                  className="w-full border p-2 rounded"
+                  value={surveyArchiveForm.to}
+                  onChange={(e) => setSurveyArchiveForm({ ...surveyArchiveForm, to: e.target.value })}
+                />
+              </div>
             </div>
+            {surveyArchiveForm.communityId && surveyArchiveForm.from <= surveyArchiveForm.to && (() => {
+              const input = getSurveyArchiveInput(surveyArchiveForm);
+              return (
+                <div className="border rounded-xl p-3 bg-gray-50 text-sm space-y-1">
+                  <div>
+                    <b>{input.packets.length}</b> delegation packet(s) in force during the period
+                  </div>
+                  <div>
+                    <b>{input.assessments.length}</b> assessment(s)
+                  </div>
+                  <div>
+                    <b>{input.medTechs.length}</b> training transcript(s)
+                  </div>
+                  <div>
+                    <b>{input.audit.length}</b> audit log entr{input.audit.length === 1 ? "y" : "ies"}
+                  </div>
+                  <div className="text-xs text-gray-500 pt-1">
+                    Includes an index (HTML and CSV) and a manifest with a SHA-256 checksum for every file. Built in
+                    this browser; nothing is uploaded.
+                  </div>
+                </div>
+              );
+            })()}
           </div>
-          <div>
-            <Label>RN Determination</Label>
-            <div className="flex gap-4">
-              <label>
-                <input type="radio" checked={assessmentForm.stable} onChange={() => setAssessmentForm({ ...assessmentForm, stable: true })} /> Stable & Predictable (Safe to delegate)
-              </label>
-              <label>
-                <input type="radio" checked={!assessmentForm.stable} onChange={() => setAssessmentForm({ ...assessmentForm, stable: false })} /> Unstable / Unpredictable
-              </label>
-            </div>
+        )}
+      </Modal>
+
+      <Modal title="Word Form Templates" open={showFormTemplates} onClose={() => setShowFormTemplates(false)}>
+        <div className="space-y-4">
+          <div className="text-sm text-gray-600">
+            Upload the official .docx for each task. Mark fields in the document with placeholders such as{" "}
+            <code>{"{{resident.name}}"}</code>; the Word Form button on a delegation fills them in.
           </div>
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-left">
+              <tr>
+                <th className="p-2">Task</th>
+                <th className="p-2">Template</th>
+                <th className="p-2">Status</th>
+                <th className="p-2"></th>
+              </tr>
+            </thead>
+            <tbody>
+              {currentTasks.map((t) => {
+                const template = getFormTemplate(t);
+                const unknown = (template?.placeholders || []).filter((k) => !isKnownFormField(k));
+                return (
+                  <tr key={t.id} className="border-t align-top">
+                    <td className="p-2 font-semibold">{t.label}</td>
+                    <td className="p-2 text-gray-600">{t.formTemplate || "—"}</td>
+                    <td className="p-2">
+                      {template ? (
+                        <div className="flex flex-col items-start gap-1">
+                          <Badge tone="green">Uploaded {formatDate(template.uploadedAt)}</Badge>
+                          <span className="text-xs text-gray-500">
+                            {template.fileName} · {template.placeholders.length} placeholder
+                            {template.placeholders.length === 1 ? "" : "s"}
+                          </span>
+                          {unknown.length > 0 && (
+                            <span className="text-xs text-yellow-700">
+                              Not recognised: {unknown.map((k) => `{{${k}}}`).join(", ")}
+                            </span>
+                          )}
+                        </div>
+                      ) : (
+                        <Badge tone="gray">Not uploaded</Badge>
+                      )}
+                    </td>
+                    <td className="p-2">
+                      <div className="flex justify-end gap-2">
+                        <label className="inline-flex items-center justify-center gap-2 rounded-xl px-3 py-2 text-sm font-semibold border shadow-sm bg-white text-gray-800 border-gray-200 hover:bg-gray-50 cursor-pointer">
+                          <Upload size={14} /> {template ? "Replace" : "Upload"}
+                          <input
+                            type="file"
+                            accept=".docx,application/vnd.openxmlformats-officedocument.wordprocessingml.document"
+                            className="hidden"
+                            onChange={(e) => {
+                              handleFormTemplateSelected(t, e.target.files?.[0]);
+                              e.target.value = "";
+                            }}
+                          />
+                        </label>
+                        {template && (
+                          <>
+                            <Button
+                              variant="secondary"
+                              onClick={() => downloadFile(template.name, new Blob([base64ToBytes(template.data)], { type: DOCX_MIME }))}
+                              title="Download the uploaded template"
+                            >
+                              <Download size={14} />
+                            </Button>
+                            <Button variant="ghost" onClick={() => removeFormTemplate(template)} title="Remove template">
+                              <Trash2 size={14} />
+                            </Button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
           <div>
-            <Label>RN Diabetic Assessment (Narrative)</Label>
-            <textarea
-              className="w-full border p-2 rounded h-32"
-              value={assessmentForm.notes}
-              onChange={(e) => setAssessmentForm({ ...assessmentForm, notes: e.target.value })}
-            />
-          </div>
-          <div className="mt-2 border rounded-xl p-1 bg-gray-50">
-            <Checkbox
-              label="Resident and/or legally authorized representative was notified that insulin administration will be performed by an Unlicensed Person pursuant to Registered Nurse (RN) delegation. The (RN) provided initial instruction and competency validation and will maintain ongoing supervision, evaluation, and reauthorization monitoring per their respective Board of Nursing, state regulations, and facility policies and procedures. Resident/representative voiced understanding and agreement"
-              checked={assessmentForm.residentNotification}
-              onChange={(v) => setAssessmentForm({ ...assessmentForm, residentNotification: v })}
-            />
+            <Label>Placeholders</Label>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4 gap-y-1 text-xs border rounded-xl p-3 bg-gray-50">
+              {FORM_TEMPLATE_FIELDS.map(([key, description]) => (
+                <div key={key}>
+                  <code className="text-indigo-700">{`{{${key}}}`}</code> <span className="text-gray-600">{description}</span>
+                </div>
+              ))}
+            </div>
           </div>
         </div>
       </Modal>
@@ -3068,6 +8026,17 @@ function DelegationManagementApp() {
             >
               <Printer size={16} /> Print
             </Button>
+            <Button
+              variant="secondary"
+              onClick={() =>
+                downloadTranscriptPDF({
+                  orgName: activeCommunity.name,
+                  medTech: medTechs.find((m) => m.id === activeMedTechId),
+                }).catch((err) => alert(`Could not build the PDF: ${err.message}`))
+              }
+            >
+              <Download size={16} /> Download PDF
+            </Button>
             <Button onClick={saveTraining}>Save</Button>
           </div>
         }
@@ -3112,22 +8081,92 @@ function DelegationManagementApp() {
         title="Signatures"
         open={showSignModal}
         onClose={() => setShowSignModal(false)}
-        footer={<Button onClick={saveSignatures}>Save</Button>}
+        footer={
+          <Button
+            onClick={saveSignatures}
+            disabled={
+              !!selectedDelegation?.signatures?.[signMode.party]?.signedAt &&
+              !getModifiedSigners(selectedDelegation).includes(signMode.party)
+            }
+          >
+            <PenLine size={16} /> Sign as {SIGNING_PARTIES[signMode.party]}
+          </Button>
+        }
       >
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-          <div>
-            <Label>Med-Tech Name</Label>
-            <input className="w-full border p-2 rounded mb-2" value={signMode.mtTypedName} onChange={(e) => setSignMode({ ...signMode, mtTypedName: e.target.value })} />
-            <Checkbox label="Use Drawn" checked={signMode.mtUseDrawn} onChange={(v) => setSignMode({ ...signMode, mtUseDrawn: v })} />
-            {signMode.mtUseDrawn && <SignaturePad value={signMode.mtSignatureImage} onChange={(v) => setSignMode({ ...signMode, mtSignatureImage: v })} />}
-          </div>
-          <div>
-            <Label>RN Name</Label>
-            <input className="w-full border p-2 rounded mb-2" value={signMode.rnTypedName} onChange={(e) => setSignMode({ ...signMode, rnTypedName: e.target.value })} />
-            <Checkbox label="Use Drawn" checked={signMode.rnUseDrawn} onChange={(v) => setSignMode({ ...signMode, rnUseDrawn: v })} />
-            {signMode.rnUseDrawn && <SignaturePad value={signMode.rnSignatureImage} onChange={(v) => setSignMode({ ...signMode, rnSignatureImage: v })} />}
+        {selectedDelegation && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-2">
+              {Object.entries(SIGNING_PARTIES).map(([party, label]) => {
+                const sig = selectedDelegation.signatures?.[party];
+                return (
+                  <button
+                    key={party}
+                    onClick={() => setSignMode({ ...signMode, party })}
+                    className={`text-left border rounded-xl p-3 ${
+                      signMode.party === party ? "border-indigo-500 ring-1 ring-indigo-500" : "border-gray-200"
+                    }`}
+                  >
+                    <div className="font-semibold">{label}</div>
+                    {sig?.signedAt && getModifiedSigners(selectedDelegation).includes(party) ? (
+                      <div className="text-xs text-red-700">
+                        Signed {formatDate(sig.signedAt)}; modified after signing, re-sign required
+                      </div>
+                    ) : sig?.signedAt ? (
+                      <div className="text-xs text-green-700">
+                        Signed {formatDate(sig.signedAt)} by {sig.typedName} ({sig.method || "drawn"})
+                      </div>
+                    ) : (
+                      <div className="text-xs text-yellow-700">Pending</div>
+                    )}
+                  </button>
+                );
+              })}
+            </div>
+            {selectedDelegation.signatures?.[signMode.party]?.signedAt &&
+            !getModifiedSigners(selectedDelegation).includes(signMode.party) ? (
+              <div className="text-sm text-gray-500">
+                The {SIGNING_PARTIES[signMode.party]} has signed this period.
+                {getPendingSigners(selectedDelegation).length ? " Waiting on the other party." : ""}
+              </div>
+            ) : (
+              <div>
+                <Label>{SIGNING_PARTIES[signMode.party]} Name</Label>
+                <input
+                  className="w-full border p-2 rounded mb-2"
+                  value={signMode[`${signMode.party}TypedName`]}
+                  onChange={(e) => setSignMode({ ...signMode, [`${signMode.party}TypedName`]: e.target.value })}
+                />
+                <Checkbox
+                  label="Use Drawn"
+                  checked={signMode[`${signMode.party}UseDrawn`]}
+                  onChange={(v) => setSignMode({ ...signMode, [`${signMode.party}UseDrawn`]: v })}
+                />
+                {signMode[`${signMode.party}UseDrawn`] && (
+                  <SignaturePad
+                    key={signMode.party}
+                    value={signMode[`${signMode.party}SignatureStrokes`]}
+                    onChange={(v) => setSignMode((p) => ({ ...p, [`${p.party}SignatureStrokes`]: v }))}
+                  />
+                )}
+                <div className="mt-3">
+                  <Label>Attestations (all required)</Label>
+                  <div className="border rounded-xl p-3 space-y-2 bg-gray-50">
+                    {Object.entries(SIGNING_ATTESTATIONS[signMode.party]).map(([k, text]) => (
+                      <Checkbox
+                        key={k}
+                        label={text}
+                        checked={!!signMode[`${signMode.party}Attest`][k]}
+                        onChange={(v) =>
+                          setSignMode((p) => ({ ...p, [`${p.party}Attest`]: { ...p[`${p.party}Attest`], [k]: v } }))
+                        }
+                      />
+                    ))}
+                  </div>
+                </div>
+              </div>
+            )}
           </div>
-        </div>
+        )}
       </Modal>
 
       <Modal
@@ -3156,6 +8195,214 @@ function DelegationManagementApp() {
         </div>
       </Modal>
 
+      <Modal
+        title="Import Residents (CSV)"
+        open={showResidentImport}
+        onClose={() => setShowResidentImport(false)}
+        footer={
+          residentImport?.step === "map" ? (
+            <Button onClick={previewResidentImport}>Preview Import</Button>
+          ) : residentImport?.step === "preview" ? (
+            <div className="flex justify-between">
+              <Button variant="secondary" onClick={() => setResidentImport((p) => ({ ...p, step: "map" }))}>
+                Back to Mapping
+              </Button>
+              <Button onClick={commitResidentImport}>
+                Import {residentImportPreview.filter((r) => !r.errors.length && !r.duplicate).length} Residents
+              </Button>
+            </div>
+          ) : null
+        }
+      >
+        {!residentImport && (
+          <div className="space-y-2">
+            <Label>Roster File (.csv)</Label>
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              className="w-full border p-2 rounded"
+              onChange={(e) => handleResidentCsvSelected(e.target.files?.[0])}
+            />
+            <div className="text-xs text-gray-500">
+              First row must be column headers. Expected columns: name, DOB, unit, diagnosis, regimen, community. Rows
+              without a community go to {communities.find((c) => c.id === importDefaultCommunityId)?.name || "the first community"}.
+            </div>
+          </div>
+        )}
+
+        {residentImport?.step === "map" && (
+          <div className="space-y-3">
+            <div className="text-sm text-gray-600">
+              {residentImport.fileName}: {residentImport.rows.length} rows. Match each field to a column in the file.
+            </div>
+            <CsvColumnMapper
+              headers={residentImport.headers}
+              fields={RESIDENT_IMPORT_FIELDS}
+              mapping={residentImport.mapping}
+              onChange={(mapping) => setResidentImport((p) => ({ ...p, mapping }))}
+            />
+          </div>
+        )}
+
+        {residentImport?.step === "preview" && (
+          <div className="space-y-3">
+            <div className="flex gap-2 text-sm">
+              <Badge tone="green">{residentImportPreview.filter((r) => !r.errors.length && !r.duplicate).length} ready</Badge>
+              <Badge tone="yellow">{residentImportPreview.filter((r) => !r.errors.length && r.duplicate).length} duplicates (skipped)</Badge>
+              <Badge tone="red">{residentImportPreview.filter((r) => r.errors.length).length} with errors (skipped)</Badge>
+            </div>
+            <div className="border rounded overflow-auto max-h-96">
+              <table className="w-full text-xs">
+                <thead className="bg-gray-50 text-left sticky top-0">
+                  <tr>
+                    <th className="p-2">Line</th>
+                    <th className="p-2">Name</th>
+                    <th className="p-2">DOB</th>
+                    <th className="p-2">Unit</th>
+                    <th className="p-2">Community</th>
+                    <th className="p-2">Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {residentImportPreview.map((row) => (
+                    <tr key={row.line} className="border-t align-top">
+                      <td className="p-2">{row.line}</td>
+                      <td className="p-2 font-semibold">{row.record.name || "—"}</td>
+                      <td className="p-2">{row.record.dob || "—"}</td>
+                      <td className="p-2">{row.record.unit || "—"}</td>
+                      <td className="p-2">{communities.find((c) => c.id === row.record.communityId)?.name || "—"}</td>
+                      <td className="p-2">
+                        {row.errors.length ? (
+                          <ul className="text-red-700 list-disc ml-4">
+                            {row.errors.map((e, idx) => (
+                              <li key={idx}>{e}</li>
+                            ))}
+                          </ul>
+                        ) : row.duplicate ? (
+                          <Badge tone="yellow">Duplicate: {row.duplicate}</Badge>
+                        ) : (
+                          <Badge tone="green">Ready</Badge>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="text-xs text-gray-500">Nothing is saved until you click Import.</div>
+          </div>
+        )}
+      </Modal>
+
+      <Modal
+        title="Import Med-Techs (CSV)"
+        open={showMedTechImport}
+        onClose={() => setShowMedTechImport(false)}
+        footer={
+          medTechImport?.step === "map" ? (
+            <Button onClick={previewMedTechImport}>Preview Import</Button>
+          ) : medTechImport?.step === "preview" ? (
+            <div className="flex justify-between">
+              <Button variant="secondary" onClick={() => setMedTechImport((p) => ({ ...p, step: "map" }))}>
+                Back to Mapping
+              </Button>
+              <Button onClick={commitMedTechImport}>
+                Import {medTechImportPreview.filter((g) => !g.errors.length && !g.duplicate).length} Med-Techs
+              </Button>
+            </div>
+          ) : null
+        }
+      >
+        {!medTechImport && (
+          <div className="space-y-2">
+            <Label>Staff File (.csv)</Label>
+            <input
+              type="file"
+              accept=".csv,text/csv"
+              className="w-full border p-2 rounded"
+              onChange={(e) => handleMedTechCsvSelected(e.target.files?.[0])}
+            />
+            <div className="text-xs text-gray-500">
+              First row must be column headers. One row per med-tech, or one row per prior training record with the
+              med-tech repeated on each row. Rows without a community go to{" "}
+              {communities.find((c) => c.id === importDefaultCommunityId)?.name || "the first community"}.
+            </div>
+          </div>
+        )}
+
+        {medTechImport?.step === "map" && (
+          <div className="space-y-3">
+            <div className="text-sm text-gray-600">
+              {medTechImport.fileName}: {medTechImport.rows.length} rows. Match each field to a column in the file.
+            </div>
+            <CsvColumnMapper
+              headers={medTechImport.headers}
+              fields={MEDTECH_IMPORT_FIELDS}
+              mapping={medTechImport.mapping}
+              onChange={(mapping) => setMedTechImport((p) => ({ ...p, mapping }))}
+            />
+          </div>
+        )}
+
+        {medTechImport?.step === "preview" && (
+          <div className="space-y-3">
+            <div className="flex gap-2 text-sm">
+              <Badge tone="green">{medTechImportPreview.filter((g) => !g.errors.length && !g.duplicate).length} ready</Badge>
+              <Badge tone="yellow">{medTechImportPreview.filter((g) => !g.errors.length && g.duplicate).length} duplicates (skipped)</Badge>
+              <Badge tone="red">{medTechImportPreview.filter((g) => g.errors.length).length} with errors (skipped)</Badge>
+            </div>
+            <div className="border rounded overflow-auto max-h-96">
+              <table className="w-full text-xs">
+                <thead className="bg-gray-50 text-left sticky top-0">
+                  <tr>
+                    <th className="p-2">Lines</th>
+                    <th className="p-2">Name</th>
+                    <th className="p-2">Community</th>
+                    <th className="p-2">Hire Date</th>
+                    <th className="p-2">Competency</th>
+                    <th className="p-2">Transcript</th>
+                    <th className="p-2">Result</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {medTechImportPreview.map((g) => (
+                    <tr key={g.lines[0]} className="border-t align-top">
+                      <td className="p-2">{g.lines.join(", ")}</td>
+                      <td className="p-2 font-semibold">{g.record.name || "—"}</td>
+                      <td className="p-2">{communities.find((c) => c.id === g.record.communityId)?.name || "—"}</td>
+                      <td className="p-2">{formatDate(g.record.hireDate)}</td>
+                      <td className="p-2">{formatDate(g.record.competencyDates.demonstrated)}</td>
+                      <td className="p-2">{g.record.trainingTranscript.length} entries</td>
+                      <td className="p-2">
+                        {g.errors.length ? (
+                          <ul className="text-red-700 list-disc ml-4">
+                            {g.errors.map((e, idx) => (
+                              <li key={idx}>{e}</li>
+                            ))}
+                          </ul>
+                        ) : g.duplicate ? (
+                          <Badge tone="yellow">Duplicate: {g.duplicate}</Badge>
+                        ) : (
+                          <Badge tone="green">Ready</Badge>
+                        )}
+                        {g.warnings.length ? (
+                          <ul className="text-yellow-800 list-disc ml-4 mt-1">
+                            {g.warnings.map((w, idx) => (
+                              <li key={idx}>{w}</li>
+                            ))}
+                          </ul>
+                        ) : null}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="text-xs text-gray-500">Nothing is saved until you click Import.</div>
+          </div>
+        )}
+      </Modal>
+
       <Modal
         title="Add Med-Tech"
         open={showAddMedTech}
@@ -3407,6 +8654,112 @@ function DelegationManagementApp() {
         )}
       </Modal>
 
+      <Modal
+        title="Import Backup"
+        open={showRestoreModal}
+        onClose={() => setShowRestoreModal(false)}
+        footer={
+          <Button onClick={confirmRestore} disabled={!restoreForm?.data}>
+            {restoreForm?.mode === "replace" ? "Replace Data" : "Merge Data"}
+          </Button>
+        }
+      >
+        <div className="space-y-4">
+          <div>
+            <Label>Backup File (.json)</Label>
+            <input
+              type="file"
+              accept="application/json,.json"
+              className="w-full border p-2 rounded"
+              onChange={(e) => handleRestoreFileSelected(e.target.files?.[0])}
+            />
+          </div>
+
+          {restoreForm?.errors?.length ? (
+            <div className="bg-red-50 border border-red-200 rounded-xl p-3 text-sm text-red-800">
+              <div className="font-bold mb-1">{restoreForm.fileName} cannot be imported:</div>
+              <ul className="list-disc ml-5">
+                {restoreForm.errors.map((e, idx) => (
+                  <li key={idx}>{e}</li>
+                ))}
+              </ul>
+            </div>
+          ) : null}
+
+          {restoreForm?.data && (
+            <>
+              <div className="border rounded overflow-hidden">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50 text-left">
+                    <tr>
+                      <th className="p-2">Records</th>
+                      <th className="p-2">In File</th>
+                      <th className="p-2">New</th>
+                      <th className="p-2">Changed</th>
+                      <th className="p-2">Unchanged</th>
+                      <th className="p-2">Only in this Browser</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {diffBackup({ communities, residents, medTechs, delegations, taskCatalog, formTemplates }, restoreForm.data).map((row) => (
+                      <tr key={row.key} className="border-t">
+                        <td className="p-2 font-semibold">{row.label}</td>
+                        <td className="p-2">{row.inFile}</td>
+                        <td className="p-2">{row.added}</td>
+                        <td className="p-2">{row.updated}</td>
+                        <td className="p-2">{row.unchanged}</td>
+                        <td className="p-2">
+                          {row.onlyLocal}
+                          {restoreForm.mode === "replace" && row.onlyLocal > 0 ? (
+                            <span className="ml-1"><Badge tone="red">will be removed</Badge></span>
+                          ) : null}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <div className="text-xs text-gray-500">
+                Training transcript entries in file: {countTranscriptEntries(restoreForm.data.medTechs)}
+              </div>
+
+              {restoreForm.warnings.length ? (
+                <div className="bg-yellow-50 border border-yellow-200 rounded-xl p-3 text-sm text-yellow-800">
+                  <div className="font-bold mb-1">Warnings</div>
+                  <ul className="list-disc ml-5">
+                    {restoreForm.warnings.map((w, idx) => (
+                      <li key={idx}>{w}</li>
+                    ))}
+                  </ul>
+                </div>
+              ) : null}
+
+              <div className="border rounded-xl p-3 bg-gray-50">
+                <Label>How should the file be applied?</Label>
+                <div className="flex gap-6 text-sm mt-1">
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="radio"
+                      checked={restoreForm.mode === "merge"}
+                      onChange={() => setRestoreForm((p) => ({ ...p, mode: "merge" }))}
+                    />
+                    Merge (file wins on matching records, keep everything else)
+                  </label>
+                  <label className="flex items-center gap-2">
+                    <input
+                      type="radio"
+                      checked={restoreForm.mode === "replace"}
+                      onChange={() => setRestoreForm((p) => ({ ...p, mode: "replace" }))}
+                    />
+                    Replace all data
+                  </label>
+                </div>
+              </div>
+            </>
+          )}
+        </div>
+      </Modal>
+
       <Modal
         title="Med-Tech Supervision"
         open={showMtSupervisionModal}